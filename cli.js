@@ -1,9 +1,14 @@
 #!/usr/bin/env node
+var fs = require('fs')
 var JSONStream = require('JSONStream')
 var split = require('split2')
+var through = require('through2')
 var ncbi = require('./')
 var insight = require('./lib/anonymous-tracking')
 var validDbs = require('./lib/valid-dbs')
+var tabular = require('./lib/tabular')
+var fastaWriter = require('./lib/fasta-writer')
+var taxonomy = require('./lib/taxonomy')
 
 var argv = require('yargs')
 .strict()
@@ -20,11 +25,17 @@ var argv = require('yargs')
 )
 .example('search', `taxonomy 'solenopsis invicta'`)
 .example('search', `sra human --limit 1 --pretty`)
+.example('search', `sra human --count`)
+.example('search', `pubmed 'solenopsis invicta[Organism]' --datetype pdat --mindate 2015 --maxdate 2020 --sort pub_date`)
+.example('search', `assembly 'solenopsis invicta' --format csv --fields uid,organism,meta.FtpSites.FtpPath`)
 .command(
   'fetch <db> [term]',
   `Takes a database name and a query term. Returns the data.`
 )
 .example('fetch', `nucest p53 -l 1 --pretty`)
+.example('fetch', `nuccore NC_001422 --rettype gb --pretty`)
+.example('fetch', `nuccore NC_001422 --format fasta --line-width 60 > NC_001422.fa`)
+.example('fetch', `nuccore NC_001422 --rettype gb --raw --output NC_001422.gb`)
 .command(
   'urls <dlsource> [term]',
   `Takes either sra or assembly db name and query term. Returns URLs of datasets.`
@@ -37,12 +48,72 @@ var argv = require('yargs')
 SRA or assembly (genomic.fna) file into a folder named after the unique ID (UID).`
 )
 .example('download', `assembly solenopsis invicta --pretty`)
+.example('download', `assembly solenopsis invicta --types fna,gff,faa`)
+.example('download', `sra human --dry-run`)
+.command(
+  'post <db>',
+  `Reads unique IDs (UIDs) from STDIN, one per line, and uploads them to the \
+NCBI History server. Returns handles that search, fetch and link can read with --stdin.`
+)
+.example('post', `sra < uids.txt | bionode-ncbi fetch sra -s`)
+.command(
+  'runinfo [term]',
+  `Takes a SRA query term. Returns one flat record per sequencing run from the SRA RunInfo table.`
+)
+.example('runinfo', `solenopsis invicta --format tsv`)
+.command(
+  'sequence <db> [id]',
+  `Takes a sequence database (nuccore, protein, nucest or nucgss) and an accession, with an \
+optional region. Returns it as FASTA records. Without an accession, reads BED regions from STDIN.`
+)
+.example('sequence', `nuccore NC_000913.3 --start 1 --stop 50 --strand=- --format fasta`)
+.example('sequence', `nuccore --format fasta < regions.bed`)
+.command(
+  'taxonomy [term]',
+  `Takes a name or taxid. Returns the taxonomy node with its lineage, or with --descendants \
+the nodes of that rank below it.`
+)
+.example('taxonomy', `'Solenopsis invicta' --pretty`)
+.example('taxonomy', `Solenopsis --descendants species --format newick`)
+.command(
+  'gene [term]',
+  `Takes a gene symbol or GeneID. Returns a gene record with its genomic location and RefSeq \
+mRNA and protein accessions. Without a term, reads one symbol or GeneID per line from STDIN.`
+)
+.example('gene', `BRCA1 --organism 'Homo sapiens' --pretty`)
+.example('gene', `--organism 'Homo sapiens' --no-products < symbols.txt`)
+.command(
+  'cite <db> [term]',
+  `Takes pubmed or pmc and a query term, UIDs, or Link results from STDIN with --stdin. \
+Returns citations of the articles in BibTeX, RIS or CSL-JSON.`
+)
+.example('cite', `pubmed 22751099 --style ris`)
+.example('cite', `bionode-ncbi link sra pubmed 35533 | bionode-ncbi cite pubmed -s`)
+.command(
+  'info [db]',
+  `Takes a database name. Returns its searchable fields, links, record count and last update. \
+Without a database, returns every database NCBI has, checked against the built-in list.`
+)
+.example('info', `sra --pretty`)
+.example('info', `--format tsv`)
+.command(
+  'spell <db> [term]',
+  `Takes a database name and a query term. Returns the term with its spelling corrected.`
+)
+.example('spell', `pubmed fire ants genmoe`)
+.command(
+  'count [term]',
+  `Takes a query term. Returns the number of records matching it in every database.`
+)
+.example('count', `solenopsis invicta --format tsv`)
 .command(
   'link <srcDB> <destDB> [srcUID]',
   `Returns a unique ID (UID) from a destination database linked to another UID \
 from a source database.`
 )
 .example('link', `assembly bioproject 244018 --pretty`)
+.example('link', `assembly nuccore 503988 --linkname assembly_nuccore_refseq`)
+.example('link', `pubmed pubmed 20210808 --cmd neighbor_score`)
 .command(
   'expand <property> [destProperty]',
   `Takes a property (e.g. biosample) and an optional destination property
@@ -72,33 +143,162 @@ bionode-ncbi plink tax sra -s --pretty`
 .describe('limit', 'Limit number of results')
 .alias('throughput', 't')
 .number('throughput')
-.describe('throughput', 'Number of items per API request')
+.describe('throughput', 'Number of items per API request (up to 10000)')
 .alias('pretty', 'p')
 .boolean('pretty')
 .describe('pretty', 'Print human readable output instead of NDJSON')
+.string('api-key')
+.describe('api-key', 'NCBI API key, raises the rate limit from 3 to 10 requests per second (or set NCBI_API_KEY)')
+.string('email')
+.describe('email', 'Contact email sent to NCBI with each request (or set NCBI_EMAIL)')
+.string('tool')
+.describe('tool', 'Tool name sent to NCBI with each request (or set NCBI_TOOL)')
+.number('max-retries')
+.describe('max-retries', 'Number of times a failed request is retried (default 5)')
+.number('timeout')
+.describe('timeout', 'Request timeout in milliseconds (default 15000)')
+.boolean('normalize')
+.describe('normalize', 'Convert search results to typed records with ISO dates and flattened organism, taxid and accession, and pubmed or pmc fetch results to article records')
+.string('rettype')
+.describe('rettype', 'Record type for fetch, e.g. gb for nuccore or gp for protein')
+.string('types')
+.describe('types', 'Comma separated assembly files to download, e.g. fna,gff,faa,md5')
+.string('sra-source')
+.describe('sra-source', 'Where urls and download get SRA runs from: NCBI SRA objects (ncbi, default) or ENA FASTQ files (ena)')
+.string('out-dir')
+.describe('out-dir', 'Directory downloads are saved to (default current directory)')
+.string('template')
+.describe('template', 'Path of each download under --out-dir, e.g. {organism}/{assemblyAccession}/{file} (default {uid}/{file})')
+.number('concurrency')
+.describe('concurrency', 'Number of files downloaded at the same time (default 1)')
+.boolean('verify')
+.default('verify', true)
+.describe('verify', 'Check assembly downloads against md5checksums.txt, disable with --no-verify')
+.boolean('verify-only')
+.describe('verify-only', 'Check files already downloaded against md5checksums.txt without downloading')
+.boolean('streaming')
+.describe('streaming', 'Parse fetch XML results as they arrive and return one object per record')
+.string('record-element')
+.describe('record-element', 'XML element returned as one record by fetch --streaming, e.g. PubmedArticle')
+.number('start')
+.describe('start', 'First position (1-based) of the region returned by sequence')
+.number('stop')
+.describe('stop', 'Last position (inclusive) of the region returned by sequence')
+.string('strand')
+.describe('strand', 'Strand of the region returned by sequence: + or - (default +)')
+.string('datetype')
+.describe('datetype', 'Date field limited by --mindate and --maxdate in search and fetch, e.g. pdat, mdat or edat')
+.string('mindate')
+.describe('mindate', 'Oldest date of search and fetch results, YYYY, YYYY/MM or YYYY/MM/DD (needs --datetype)')
+.string('maxdate')
+.describe('maxdate', 'Newest date of search and fetch results, YYYY, YYYY/MM or YYYY/MM/DD (needs --datetype)')
+.string('sort')
+.describe('sort', 'Sort order of search and fetch results, e.g. relevance or pub_date for pubmed')
+.string('search-field')
+.describe('search-field', 'Field tag to search all terms in, e.g. title')
+.string('linkname')
+.describe('linkname', 'Link to use for link and plink, e.g. assembly_nuccore_refseq')
+.string('cmd')
+.describe('cmd', 'ELink mode for link: neighbor, neighbor_score, acheck, ncheck, lcheck, llinks, llinkslib or prlinks')
+.string('emit')
+.describe('emit', 'Emit one record per source UID (sources, default) or per link (pairs) for link')
+.number('batch-size')
+.describe('batch-size', 'Number of UIDs sent per request by post, link and plink')
+.string('cache-dir')
+.describe('cache-dir', 'Cache NCBI responses in this directory (or set NCBI_CACHE_DIR)')
+.number('cache-ttl')
+.describe('cache-ttl', 'Seconds before a cached response expires (default 86400)')
+.boolean('cache')
+.default('cache', true)
+.describe('cache', 'Use the response cache, disable with --no-cache')
+.boolean('offline')
+.describe('offline', 'Only use cached responses and fail on a cache miss')
+.choices('format', ['ndjson', 'json', 'csv', 'tsv', 'fasta', 'newick', 'tree'])
+.default('format', 'ndjson')
+.describe('format', 'Output format: one JSON object per line (ndjson), a JSON array (json), csv, tsv, ' +
+  'fasta (fetch and sequence) or a newick or indented tree (taxonomy)')
+.choices('style', ['bibtex', 'ris', 'csl'])
+.default('style', 'bibtex')
+.describe('style', 'Citation style of cite: bibtex, ris or csl (CSL-JSON)')
+.string('organism')
+.describe('organism', 'Organism the gene symbols looked up by gene belong to, e.g. Homo sapiens')
+.boolean('products')
+.default('products', true)
+.describe('products', 'Resolve the RefSeq mRNA and protein accessions of genes, disable with --no-products')
+.boolean('count')
+.describe('count', 'Only return the number of records search, fetch, urls or download would get (up to --limit), the total found and the translated query')
+.boolean('dry-run')
+.describe('dry-run', 'Return the E-utilities requests of search and fetch, or the files of urls and download ' +
+  'with their sizes, without fetching or downloading them')
+.string('descendants')
+.describe('descendants', 'Rank of the nodes below the term returned by taxonomy, e.g. genus or species')
+.number('line-width')
+.describe('line-width', 'Sequence characters per line for --format fasta, 0 for no wrapping (default 70)')
+.boolean('raw')
+.describe('raw', 'Write the fetch responses as NCBI sends them, for any rettype, instead of parsing them')
+.alias('output', 'o')
+.string('output')
+.describe('output', 'Write the output to this file instead of STDOUT')
+.string('fields')
+.describe('fields', 'Comma separated fields to output, dotted paths allowed, e.g. uid,organism,meta.FtpSites.FtpPath')
 .choices('dlsource', ['assembly', 'sra'])
-.choices('db', Object.keys(validDbs.dbs))
 .example('databases available', validDbs.printDbs())
 .example(`DEBUG mode: export DEBUG='*'`)
 .argv
 
 if (argv.dlsource) { argv.db = argv.dlsource }
+if (argv.start !== undefined || argv.stop !== undefined || argv.strand !== undefined) {
+  argv.ranges = [{ start: argv.start, stop: argv.stop, strand: argv.strand }]
+}
+if (argv.cacheTtl !== undefined) { argv.cacheTTL = argv.cacheTtl }
+if (argv.searchField !== undefined) { argv.field = argv.searchField }
 
 insight.track('ncbi', 'cli')
 
 try {
   var ncbiStream = ncbi[argv._[0]](argv)
 
+  var fields = argv.fields ? argv.fields.split(',').filter(Boolean) : null
+  var indent = argv.pretty ? 2 : null
+
   var jsonStream
-  if (argv.pretty) {
-    jsonStream = JSONStream.stringify(false, null, null, 2)
+  if (argv.raw) {
+    // raw fetch results are already Buffers
+    jsonStream = through()
+  } else if (argv._[0] === 'cite' && argv.style !== 'csl') {
+    // BibTeX and RIS citations are already text
+    jsonStream = through.obj(function (citation, enc, next) { next(null, citation + '\n') })
+  } else if (argv.format === 'newick' || argv.format === 'tree') {
+    jsonStream = taxonomy.createTreeStream(argv.format)
+  } else if (argv.format === 'fasta') {
+    jsonStream = fastaWriter.createStream(argv.lineWidth)
+  } else if (argv.format === 'csv' || argv.format === 'tsv') {
+    jsonStream = tabular.createStream(argv.format, fields)
+  } else if (argv.format === 'json') {
+    jsonStream = JSONStream.stringify('[\n', ',\n', '\n]\n', indent)
   } else {
-    jsonStream = JSONStream.stringify(false)
+    jsonStream = JSONStream.stringify(false, null, null, indent)
   }
 
-  ncbiStream.pipe(jsonStream).pipe(process.stdout)
+  // CSV and TSV pick the fields themselves, JSON output keeps only them
+  var results = ncbiStream
+  if (fields && !argv.raw && ['ndjson', 'json'].indexOf(argv.format) !== -1) {
+    results = results.pipe(through.obj(function (obj, enc, next) {
+      next(null, tabular.select(obj, fields))
+    }))
+  }
+  var output = argv.output ? fs.createWriteStream(argv.output) : process.stdout
+  results.pipe(jsonStream).pipe(output)
 
-  if (argv.stdin) {
+  var readsLines = argv._[0] === 'post' ||
+    (argv._[0] === 'sequence' && !argv.id) ||
+    (argv._[0] === 'gene' && !argv.term)
+  if (readsLines) {
+    process.stdin.setEncoding('utf8')
+    process.stdin
+    .pipe(split())
+    .pipe(ncbiStream)
+  } else if (argv.stdin) {
     insight.track('ncbi', 'stdin')
     process.stdin.setEncoding('utf8')
 
@@ -116,10 +316,9 @@ try {
     if (err.code === 'EPIPE') { process.exit(0) }
   })
 
-  ncbiStream.on('error', function (error) {
-    console.error(error.message)
-    process.exit()
-  })
+  ncbiStream.on('error', exitWithError)
+  jsonStream.on('error', exitWithError)
+  if (argv.output) { output.on('error', exitWithError) }
 } catch (err) {
   if (err instanceof validDbs.InvalidDbError) {
     console.error(err.message)
@@ -128,3 +327,8 @@ try {
     console.error(err)
   }
 }
+
+function exitWithError (error) {
+  console.error(error.message)
+  process.exit()
+}
@@ -0,0 +1,165 @@
+// Normalized article records from efetch pubmed (PubmedArticle) and pmc (JATS article) XML:
+//
+//     { pmid: '22751099', pmcid: 'PMC3449000', doi: '10.1371/journal.pone.0039469',
+//       title: 'The genome of the fire ant Solenopsis invicta.',
+//       authors: [{ family: 'Wurm', given: 'Yannick' }, [...], { literal: 'Fire Ant Genome Consortium' }],
+//       journal: 'PloS one', journalAbbreviation: 'PLoS One',
+//       volume: '7', issue: '6', pages: 'e39469', year: 2012,
+//       abstract: 'Fire ants are ...', mesh: ['Animals', 'Ants', [...]] }
+//
+// Fields missing from the XML are left out.
+
+var xmlRecords = require('./xml-records')
+var toNumber = require('./schemas/helpers').toNumber
+
+var RECORDELEMENTS = { pubmed: 'PubmedArticle', pmc: 'article' }
+
+// Italics and other inline markup would split titles and abstracts into pieces
+var INLINETAGS = /<\/?(i|b|u|sup|sub|italic|bold|underline|sc|monospace|inline-formula)(\s[^>]*)?>/g
+
+// Takes efetch XML and the database it comes from, and returns an array of articles.
+function parse (xml, db) {
+  var element = RECORDELEMENTS[db]
+  if (!element) { throw new Error('Articles can only be read from pubmed or pmc, not ' + db) }
+  return xmlRecords.parse(String(xml).replace(INLINETAGS, ''), element).map(function (record) {
+    return normalize(db, record)
+  })
+}
+
+function normalize (db, record) {
+  return clean(db === 'pmc' ? fromPMC(record) : fromPubmed(record))
+}
+
+function fromPubmed (record) {
+  var citation = first(record.MedlineCitation) || {}
+  var article = first(citation.Article) || {}
+  var journal = first(article.Journal) || {}
+  var issue = first(journal.JournalIssue) || {}
+  var pubDate = first(issue.PubDate) || {}
+  var ids = articleIds(path(record, ['PubmedData', 'ArticleIdList', 'ArticleId']), 'IdType')
+  var doi = ids.doi || (article.ELocationID || []).filter(function (id) {
+    return attribute(id, 'EIdType') === 'doi'
+  }).map(text)[0]
+
+  return {
+    pmid: text(first(citation.PMID)) || ids.pubmed,
+    pmcid: pmcid(ids.pmc),
+    doi: doi,
+    title: text(first(article.ArticleTitle)),
+    authors: path(article, ['AuthorList', 'Author']).map(function (author) {
+      if (author.CollectiveName) { return { literal: text(first(author.CollectiveName)) } }
+      return { family: text(first(author.LastName)), given: text(first(author.ForeName)) || text(first(author.Initials)) }
+    }),
+    journal: text(first(journal.Title)),
+    journalAbbreviation: text(first(journal.ISOAbbreviation)),
+    volume: text(first(issue.Volume)),
+    issue: text(first(issue.Issue)),
+    pages: text(first(path(article, ['Pagination', 'MedlinePgn']))),
+    year: year(text(first(pubDate.Year)) || text(first(pubDate.MedlineDate))),
+    abstract: abstract(path(article, ['Abstract', 'AbstractText']), 'Label'),
+    mesh: path(citation, ['MeshHeadingList', 'MeshHeading']).map(function (heading) {
+      return text(first(heading.DescriptorName))
+    })
+  }
+}
+
+function fromPMC (record) {
+  var journal = path(record, ['front', 'journal-meta'])[0] || {}
+  var meta = path(record, ['front', 'article-meta'])[0] || {}
+  var ids = articleIds(meta['article-id'], 'pub-id-type')
+  var journalIds = articleIds(journal['journal-id'], 'journal-id-type')
+  var dates = (meta['pub-date'] || []).map(function (date) { return year(text(first(date.year))) })
+  var fpage = text(first(meta.fpage))
+  var lpage = text(first(meta.lpage))
+
+  return {
+    pmid: ids.pmid,
+    pmcid: pmcid(ids.pmcid || ids.pmc),
+    doi: ids.doi,
+    title: text(first(path(meta, ['title-group', 'article-title']))),
+    authors: path(meta, ['contrib-group', 'contrib'])
+      .filter(function (contrib) { return attribute(contrib, 'contrib-type') === 'author' })
+      .map(function (contrib) {
+        if (contrib.collab) { return { literal: text(first(contrib.collab)) } }
+        var name = first(contrib.name) || {}
+        return { family: text(first(name.surname)), given: text(first(name['given-names'])) }
+      }),
+    journal: text(first(path(journal, ['journal-title-group', 'journal-title']))),
+    journalAbbreviation: journalIds['iso-abbrev'],
+    volume: text(first(meta.volume)),
+    issue: text(first(meta.issue)),
+    pages: fpage && lpage ? fpage + '-' + lpage : fpage || text(first(meta['elocation-id'])),
+    year: dates.filter(Boolean).sort()[0],
+    abstract: abstract(path(meta, ['abstract', 'p']).concat(path(meta, ['abstract', 'sec', 'p']))),
+    mesh: []
+  }
+}
+
+// Follows child elements, collecting every match
+function path (node, names) {
+  return names.reduce(function (nodes, name) {
+    return nodes.reduce(function (children, node) {
+      return children.concat(node && typeof node === 'object' && node[name] ? node[name] : [])
+    }, [])
+  }, [node])
+}
+
+function first (values) {
+  return Array.isArray(values) ? values[0] : values
+}
+
+function text (node) {
+  if (node === undefined || node === null) { return undefined }
+  if (typeof node === 'string') { return node.trim() || undefined }
+  return node._ !== undefined ? String(node._).trim() : undefined
+}
+
+function attribute (node, name) {
+  return node && node.$ ? node.$[name] : undefined
+}
+
+// ArticleId and article-id elements keyed by their type
+function articleIds (nodes, typeAttribute) {
+  var ids = {}
+  ;(nodes || []).forEach(function (node) {
+    var type = attribute(node, typeAttribute)
+    if (type && ids[type] === undefined) { ids[type] = text(node) }
+  })
+  return ids
+}
+
+function pmcid (id) {
+  if (!id) { return undefined }
+  return /^PMC/i.test(id) ? id.toUpperCase() : 'PMC' + id
+}
+
+// PubMed dates are sometimes free text like "2012 Jun-Jul"
+function year (value) {
+  var match = value && String(value).match(/\d{4}/)
+  return match ? toNumber(match[0]) : undefined
+}
+
+// Structured abstracts keep their section labels
+function abstract (sections, labelAttribute) {
+  var paragraphs = sections.map(function (section) {
+    var label = labelAttribute && attribute(section, labelAttribute)
+    var body = text(section)
+    return label && body ? label + ': ' + body : body
+  }).filter(Boolean)
+  return paragraphs.length > 0 ? paragraphs.join('\n') : undefined
+}
+
+function clean (article) {
+  article.authors.forEach(omitUndefined)
+  return omitUndefined(article)
+}
+
+function omitUndefined (obj) {
+  Object.keys(obj).forEach(function (key) {
+    if (obj[key] === undefined) { delete obj[key] }
+  })
+  return obj
+}
+
+module.exports.parse = parse
+module.exports.normalize = normalize
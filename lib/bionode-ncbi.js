@@ -22,9 +22,40 @@
 //     $ bionode-ncbi urls sra solenopsis invicta
 //     $ bionode-ncbi link assembly bioproject 244018
 //     $ bionode-ncbi search gds solenopsis | dat import --json
+//     $ bionode-ncbi search sra human --api-key $NCBI_API_KEY --email me@example.com
+//     $ bionode-ncbi info sra
+//     $ bionode-ncbi count solenopsis invicta
+//
+// Every command prints NDJSON by default. `--format json` prints a JSON array and
+// `--format csv` or `--format tsv` a table, with the keys of the first object as columns.
+// `--fields` picks the columns (or JSON keys) with dotted paths, and arrays are joined with `;`:
+//
+//     $ bionode-ncbi search assembly solenopsis invicta --format csv --fields uid,organism,meta.FtpSites.FtpPath
+//
+// ## Rate limits
+// NCBI allows 3 requests per second (10 with an API key) and asks clients to identify
+// themselves with `tool` and `email`. All requests made by this module go through a single
+// queue that respects those limits, no matter how many streams are running at once.
+// The credentials can be passed to any method, e.g. `ncbi.search({ db, term, apiKey, email, tool })`,
+// and are used for its requests only, or set with the environment variables `NCBI_API_KEY`,
+// `NCBI_EMAIL` and `NCBI_TOOL`.
+//
+// ## Cache
+// Responses from esearch, esummary, efetch and elink can be kept on disk so that re-running
+// the same pipeline doesn't hit NCBI again. Pass `cacheDir` (or set `NCBI_CACHE_DIR`) to any method,
+// optionally with `cacheTTL` in seconds (defaults to one day). esearch responses carry a History
+// server session, so they are kept for 30 minutes at most, and epost is never cached. With
+// `offline: true` nothing is requested from NCBI and a cache miss emits a `CacheMissError`.
+//
+//     ncbi.search({ db: 'sra', term: 'solenopsis', cacheDir: '.ncbi-cache', cacheTTL: 3600 })
+//
+//     $ bionode-ncbi search sra solenopsis --cache-dir .ncbi-cache
+//     $ bionode-ncbi search sra solenopsis --cache-dir .ncbi-cache --offline
 
 var fs = require('fs')
 var path = require('path')
+var crypto = require('crypto')
+var EventEmitter = require('events').EventEmitter
 var mkdirp = require('mkdirp')
 var async = require('async')
 var request = require('request')
@@ -36,24 +67,85 @@ var debug = require('debug')('bionode-ncbi')
 var concat = require('concat-stream')
 var pumpify = require('pumpify')
 var URL = require('url')
+var querystring = require('querystring')
 var cheerio = require('cheerio')
 var fasta = require('bionode-fasta')
 var insight = require('./anonymous-tracking')
+var scheduler = require('./scheduler')
+var cache = require('./cache')
+var schemas = require('./schemas')
+var toNumber = require('./schemas/helpers').toNumber
+var xmlRecords = require('./xml-records')
+var genbank = require('./genbank')
+var runinfo = require('./runinfo')
+var query = require('./query')
+var taxonomy = require('./taxonomy')
+var articles = require('./articles')
+var gene = require('./gene')
+var citations = require('./citations')
+var einfo = require('./einfo')
+var progressDisplay = require('./progress-display')
 
 var validDbs = require('./valid-dbs')
-var InvalidDbError = validDbs.InvalidDbError
+var errors = require('./errors')
+var InvalidDbError = errors.InvalidDbError
+var QueryError = errors.QueryError
+var RequestFailedError = errors.RequestFailedError
+var CacheMissError = errors.CacheMissError
+var ChecksumError = errors.ChecksumError
 
 var ncbi = exports
 
+ncbi.InvalidDbError = InvalidDbError
+ncbi.QueryError = QueryError
+ncbi.RequestFailedError = RequestFailedError
+ncbi.CacheMissError = CacheMissError
+ncbi.ChecksumError = ChecksumError
+
 var PROXY = typeof window !== 'undefined' ? 'http://cors.inb.io/' : ''
 
 var APIROOT = PROXY + 'http://eutils.ncbi.nlm.nih.gov/entrez/eutils/'
+var SRAODPROOT = PROXY + 'https://sra-pub-run-odp.s3.amazonaws.com/sra/'
+var ENAROOT = PROXY + 'https://www.ebi.ac.uk/ena/portal/api/'
 var DEFAULTS = 'retmode=json&version=2.0'
 var RETURNMAX = 50
-var XMLPROPERTIES = {
-  'sra': ['expxml', 'runs'],
-  'biosample': ['sampledata'],
-  'assembly': ['meta']
+var DOWNLOADATTEMPTS = 2
+var ASSEMBLYFILES = ['assembly', 'fasta', 'fna', 'faa', 'gff', 'gbff', 'gpff', 'repeats', 'md5']
+var POSTMAX = 10000
+var LINKMAX = 100
+// UIDs looked up in the term of a GET request, longer lists are uploaded with epost
+var TERMMAX = 200
+var LINKCMDS = [
+  'neighbor', 'neighbor_score',
+  'acheck', 'ncheck', 'lcheck',
+  'llinks', 'llinkslib', 'prlinks'
+]
+// Maximum number of records NCBI returns per request for each E-utility
+var PAGEMAX = {
+  esummary: 10000,
+  efetch: 10000
+}
+var XMLPROPERTIES = schemas.xmlProperties()
+// Rettypes returning GenBank or GenPept flat files
+var GENBANKTYPES = ['gb', 'gbwithparts', 'gp', 'gpc']
+// Optional esearch parameters taken by search and fetch
+var SEARCHPARAMS = ['datetype', 'mindate', 'maxdate', 'sort', 'field']
+// Databases whose fetch results can be normalized into articles and cited
+var ARTICLEDBS = ['pubmed', 'pmc']
+// Fetch options passed on to efetch. retstart and retmax are set by the paging (see `limit` and `throughput`)
+var EFETCHPARAMS = ['rettype', 'retmode', 'seq_start', 'seq_stop', 'strand', 'complexity', 'idtype', 'extrafeat']
+// Databases ncbi.sequence can get sequences from
+var SEQUENCEDBS = ['nuccore', 'nucest', 'nucgss', 'protein']
+// Element emitted as one object by fetch with `streaming: true`
+var RECORDELEMENTS = {
+  bioproject: 'DocumentSummary',
+  biosample: 'BioSample',
+  gene: 'Entrezgene',
+  nlmcatalog: 'NLMCatalogRecord',
+  pmc: 'article',
+  pubmed: 'PubmedArticle',
+  sra: 'EXPERIMENT_PACKAGE',
+  taxonomy: 'Taxon'
 }
 var LASTSTREAM = {
   'sra': function () {
@@ -93,9 +185,26 @@ var LASTSTREAM = {
 //       db: 'assembly', // database to search
 //       term: 'human',  // optional term for search
 //       limit: 500,     // optional limit of NCBI results
-//       throughput: 100 // optional number of items per request
+//       throughput: 100, // optional number of items per request (up to 10000)
+//       apiKey: 'abc123', // optional NCBI API key
+//       email: 'me@example.com', // optional contact email sent to NCBI
+//       tool: 'my-pipeline' // optional tool name sent to NCBI
 //     }
 //
+// With `normalize: true`, the records of the sra, assembly, biosample, bioproject,
+// taxonomy, gene, nuccore and protein databases are typed: counts become numbers,
+// dates become ISO-8601 strings and the common fields `accession`, `organism` and
+// `taxid` are copied to the top level:
+//
+//     ncbi.search({ db: 'assembly', term: 'Guillardia theta', normalize: true })
+//     => { uid: '503988',
+//          accession: 'GCF_000315625.1',
+//          organism: 'Guillardia theta CCMP2712',
+//          taxid: 905079,
+//          asmreleasedate_genbank: '2012-12-06T00:00:00',
+//          stats: { contig_count: 5126, contig_n50: 40445, [...] },
+//          [...] }
+//
 // The search term can also be passed with write:
 //
 //     var search = ncbi.search('sra').on('data', console.log)
@@ -108,126 +217,353 @@ var LASTSTREAM = {
 //     fs.createReadStream('searchTerms.txt')
 //     .pipe(split())
 //     .pipe(search)
+//
+// Instead of a term, a History server handle emitted by **Post** can be used to
+// get the summaries of a list of UIDs:
+//
+//     ncbi.post('sra', uids).pipe(ncbi.search('sra'))
+//
+// Search and fetch also take the esearch options `datetype` (e.g. pdat, mdat or edat),
+// `mindate` and `maxdate` (YYYY, YYYY/MM or YYYY/MM/DD), `sort` and `field` (search all
+// terms in one field). Dates need a `datetype`, and a range with only one of them is open
+// at the other end:
+//
+//     ncbi.search({ db: 'pubmed', term: 'solenopsis', datetype: 'pdat', mindate: '2015', maxdate: '2020', sort: 'pub_date' })
+//
+// ### Query builder
+// Instead of writing Entrez syntax by hand, terms can be built with `ncbi.query()`, which
+// quotes phrases, adds field tags and joins clauses with AND, OR or NOT:
+//
+//     var term = ncbi.query()
+//       .organism('Solenopsis invicta')
+//       .and().field('PDAT', { from: '2015', to: '2020' })
+//       .not().group(ncbi.query().term('review').or().field('Title', 'fire ant venom'))
+//       .sort('relevance')
+//     term.toString()
+//     => '"Solenopsis invicta"[Organism] AND (2015[PDAT] : 2020[PDAT]) NOT (review OR "fire ant venom"[Title])'
+//     ncbi.search('pubmed', term)
+//
+// `dates({ type, from, to })`, `sort(order)` and `searchField(tag)` set the esearch
+// options of the same names on the query. Options passed to search or fetch take precedence.
+//
+// ### Count and dry run
+// Before a big search or fetch, `count: true` returns only the number of records found and
+// the term as NCBI translated it, while `dryRun: true` also returns the esummary (or efetch)
+// requests that would follow. Only the esearch request is made. `total` is the number of
+// records NCBI found and `count` the number that would be retrieved, with `limit`:
+//
+//     ncbi.search({ db: 'sra', term: 'human', count: true })
+//     => { db: 'sra', term: 'human', total: 4982360, queryTranslation: '"Homo sapiens"[Organism] OR human[All Fields]', count: 4982360 }
+//
+//     ncbi.search({ db: 'sra', term: 'human', dryRun: true, limit: 100 })
+//     => { endpoint: 'esearch', url: [...], db: 'sra', term: 'human', total: 4982360, queryTranslation: [...], count: 100 }
+//     => { endpoint: 'esummary', url: 'http://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?[...]&retstart=0&retmax=50' }
+//     => { endpoint: 'esummary', url: 'http://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?[...]&retstart=50&retmax=50' }
+//
+//     $ bionode-ncbi fetch sra human --count
+//     $ bionode-ncbi search sra human --dry-run --format tsv
+
+ncbi.query = query.create
 
 ncbi.search = function (db, term, cb) {
   insight.track('ncbi', 'search')
   var opts = typeof db === 'string' ? { db, term } : db
   cb = typeof term === 'function' ? term : cb
 
-  if (Object.keys(validDbs.dbs).indexOf(opts.db) < 0) {
-    throw new InvalidDbError('The database "' + opts.db + '" is not a valid ncbi database')
-  }
+  checkDb(opts.db)
 
-  var stream = pumpify.obj(
-    createAPISearchUrl(opts.db, opts.term),
-    requestStream(true),
-    createAPIPaginateURL(opts),
-    requestStream(true),
-    createAPIDataUrl(),
-    fetchByID(opts.db)
-  )
+  var stream = opts.count || opts.dryRun
+    ? pumpify.obj(
+      createAPISearchUrl(opts),
+      requestStream(true, opts),
+      createSearchPlan(opts, 'esummary')
+    )
+    : pumpify.obj(
+      createAPISearchUrl(opts),
+      requestStream(true, opts),
+      createAPIPaginateURL(opts, 'esummary'),
+      fetchByID(opts.db, opts)
+    )
 
   if (opts.term) { stream.write(opts.term); stream.end() }
   if (cb) { stream.pipe(concat(cb)) } else { return stream }
 }
 
-function createAPISearchUrl (db, term) {
+// Terms can be strings or built with ncbi.query. The esearch parameters of the
+// query can be overridden with the same options.
+function createAPISearchUrl (opts) {
   var stream = through.obj(transform)
   return stream
 
   function transform (obj, enc, next) {
-    var query = [
+    if (isHandle(obj)) {
+      this.push(obj)
+      return next()
+    }
+    var params = obj instanceof query.Query ? obj.params() : {}
+    SEARCHPARAMS.forEach(function (param) {
+      if (opts[param] !== undefined) { params[param] = opts[param] }
+    })
+    if (params.mindate !== undefined || params.maxdate !== undefined) {
+      if (!params.datetype) {
+        this.emit('error', new QueryError('mindate and maxdate need a datetype, e.g. pdat, mdat or edat'))
+        return next()
+      }
+      // esearch ignores a date without the other, so the open end is filled in like in ncbi.query
+      var range = { type: params.datetype, from: params.mindate, to: params.maxdate }
+      Object.assign(params, query.create().dates(range).params())
+    }
+    var url = [
       APIROOT + 'esearch.fcgi?',
       DEFAULTS,
-      'db=' + db,
-      'term=' + encodeURI(obj.toString().replace(/['"]+/g, '')),
+      'db=' + opts.db,
+      'term=' + encodeURIComponent(obj.toString()),
       'usehistory=y'
-    ].join('&')
-    debug('esearch request', query)
-    this.push(query)
+    ]
+    SEARCHPARAMS.forEach(function (param) {
+      if (params[param] !== undefined) { url.push(param + '=' + encodeURIComponent(params[param])) }
+    })
+    url = url.join('&')
+    debug('esearch request', url)
+    this.push(url)
     next()
   }
 }
 
-function createAPIPaginateURL (opts) {
-  var throughput = opts.throughput || RETURNMAX
-  if (opts.limit < throughput) { throughput = opts.limit }
+// Pages through the results of a search using the History server: the WebEnv and
+// query_key returned by esearch are passed straight to esummary or efetch with
+// retstart/retmax, so IDs never have to be sent back to NCBI.
+function createAPIPaginateURL (opts, endpoint, extraOpts) {
   var stream = through.obj(transform)
   return stream
 
   function transform (obj, enc, next) {
-    var esearchRes = obj.body.esearchresult
-    if (esearchRes === undefined ||
-        esearchRes.webenv === undefined ||
-        esearchRes.count === undefined) {
-      var msg = 'NCBI returned invalid results, this could be a temporary' +
-                ' issue with NCBI servers.\nRequest URL: ' + obj.url
-      this.emit('error', new Error(msg))
-      return next()
-    }
-    var count = opts.limit || esearchRes.count
-    if (parseInt(esearchRes.count, 10) === 1) {
-      this.push(obj.url)
+    var self = this
+    var history = isHandle(obj) ? obj : searchHandle(obj)
+    if (!history) {
+      this.emit('error', invalidResults(obj))
       return next()
     }
-    var urlQuery = URL.parse(obj.url, true).query
-    var numRequests = Math.ceil(count / throughput)
-    for (var i = 0; i < numRequests; i++) {
-      var retstart = i * throughput
-      var query = [
-        APIROOT + 'esearch.fcgi?',
-        DEFAULTS,
-        'db=' + urlQuery.db,
-        'term=' + urlQuery.term,
-        'query_key=1',
-        'WebEnv=' + esearchRes.webenv,
-        'retmax=' + throughput,
-        'retstart=' + retstart
-      ].join('&')
-      debug('paginate request', query)
-      this.push(query)
-    }
+    pageURLs(history, opts, endpoint, extraOpts).forEach(function (url) {
+      debug(endpoint + ' request', url)
+      self.push(url)
+    })
     next()
   }
 }
 
-function createAPIDataUrl () {
+function pageURLs (history, opts, endpoint, extraOpts) {
+  var throughput = Math.min(opts.throughput || RETURNMAX, PAGEMAX[endpoint])
+  var count = parseInt(history.count, 10)
+  if (opts.limit) { count = Math.min(count, opts.limit) }
+  var urls = []
+  for (var retstart = 0; retstart < count; retstart += throughput) {
+    var params = [
+      APIROOT + endpoint + '.fcgi?',
+      endpoint === 'esummary' ? DEFAULTS : 'version=2.0',
+      'db=' + history.db,
+      'query_key=' + history.queryKey,
+      'WebEnv=' + history.webenv,
+      'retstart=' + retstart,
+      'retmax=' + Math.min(throughput, count - retstart)
+    ]
+    if (extraOpts) { params.push(extraOpts) }
+    urls.push(params.join('&'))
+  }
+  return urls
+}
+
+function invalidResults (obj) {
+  return new Error('NCBI returned invalid results, this could be a temporary' +
+    ' issue with NCBI servers.\nRequest URL: ' + obj.url)
+}
+
+// With `count` only the esearch count is emitted, and with `dryRun` the esearch result
+// is followed by the esummary or efetch requests the search would make, without making them
+function createSearchPlan (opts, endpoint, extraOpts) {
   var stream = through.obj(transform)
   return stream
 
   function transform (obj, enc, next) {
-    var idsChunkLen = 50
-    var idlist = obj.body.esearchresult.idlist
-    if (!idlist || idlist.length === 0) { return next() }
-    for (var i = 0; i < idlist.length; i += idsChunkLen) {
-      var idsChunk = idlist.slice(i, i + idsChunkLen)
-      var urlQuery = URL.parse(obj.url, true).query
-      var query = [
-        APIROOT + 'esummary.fcgi?',
-        DEFAULTS,
-        'db=' + urlQuery.db,
-        'id=' + idsChunk.join(','),
-        'usehistory=y'
-      ].join('&')
-      debug('esummary request', query)
-      this.push(query)
-    }
+    var self = this
+    var history = isHandle(obj) ? obj : searchHandle(obj)
+    if (!history) { return next(invalidResults(obj)) }
+    var result = isHandle(obj) ? { db: history.db, total: history.count } : searchCount(obj)
+    // `count` is what the search would retrieve, `total` what NCBI found
+    result.count = opts.limit ? Math.min(result.total, opts.limit) : result.total
+    if (opts.count) { return next(null, result) }
+    if (!isHandle(obj)) { self.push(Object.assign({ endpoint: 'esearch', url: obj.url }, result)) }
+    pageURLs(history, opts, endpoint, extraOpts).forEach(function (url) {
+      self.push({ endpoint: endpoint, url: url })
+    })
     next()
   }
 }
 
-function fetchByID (db) {
+// The number of records an esearch found, and the term as NCBI understood it
+function searchCount (obj) {
+  var esearchRes = obj.body.esearchresult
+  var params = URL.parse(obj.url, true).query
+  return {
+    db: params.db,
+    term: params.term,
+    total: parseInt(esearchRes.count, 10),
+    queryTranslation: esearchRes.querytranslation
+  }
+}
+
+// Takes an esearch response and returns its History server handle,
+// in the same format emitted by ncbi.post.
+function searchHandle (obj) {
+  var esearchRes = obj.body.esearchresult
+  if (esearchRes === undefined ||
+      esearchRes.webenv === undefined ||
+      esearchRes.count === undefined) {
+    return null
+  }
+  return {
+    db: URL.parse(obj.url, true).query.db,
+    webenv: esearchRes.webenv,
+    queryKey: esearchRes.querykey || '1',
+    count: parseInt(esearchRes.count, 10)
+  }
+}
+
+// Throws before any request when NCBI doesn't have the database
+function checkDb (db) {
+  if (Object.keys(validDbs.dbs).indexOf(db) < 0) {
+    throw new InvalidDbError('The database "' + db + '" is not a valid ncbi database')
+  }
+}
+
+function isHandle (obj) {
+  return obj !== null && typeof obj === 'object' &&
+    obj.webenv !== undefined && obj.queryKey !== undefined
+}
+
+function fetchByID (db, opts) {
   var xmlProperties = XMLPROPERTIES[db] || through.obj()
   var lastStream = LASTSTREAM[db] || through.obj
   var stream = pumpify.obj(
-    requestStream(true),
+    requestStream(true, opts),
     tool.extractProperty('body.result'),
     tool.deleteProperty('uids'),
     tool.arraySplit(),
     tool.XMLToJSProperties(xmlProperties),
-    lastStream()
+    lastStream(),
+    opts && opts.normalize ? normalizeRecords(db) : through.obj()
+  )
+  return stream
+}
+
+function normalizeRecords (db) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    this.push(schemas.normalize(db, obj))
+    next()
+  }
+}
+
+// ## Post
+// Takes a NCBI database string and UIDs, uploads them to the History server with EPost
+// and returns a stream of handles that can be used in place of a search term by
+// **Search**, **Fetch** and **Link**. This avoids building huge URLs from long lists of UIDs.
+//
+//     ncbi.post('sra', ['35533', '35532', '35531']).on('data', console.log)
+//     => { db: 'sra',
+//          webenv: 'NCID_1_166929287_130.14.22.215_9001_1492246383_1591505543_0MetA0_S_MegaStore_F_1',
+//          queryKey: '1',
+//          count: 3 }
+//
+// UIDs can be written or piped as strings (separated by commas, spaces or new lines),
+// numbers or arrays. They are uploaded in batches of `batchSize` (default 10000) and one
+// handle is emitted per batch:
+//
+//     fs.createReadStream('uids.txt')
+//     .pipe(ncbi.post('sra'))
+//     .pipe(ncbi.fetch('sra'))
+
+ncbi.post = function (db, ids, cb) {
+  insight.track('ncbi', 'post')
+  cb = typeof ids === 'function' ? ids : cb
+  ids = typeof ids === 'function' ? undefined : ids
+  var opts = typeof db === 'string' ? { db, ids } : db
+
+  checkDb(opts.db)
+
+  var stream = pumpify.obj(
+    createAPIPostRequests(opts),
+    requestStream(true, opts),
+    createPostHandle(opts.db)
   )
+
+  if (opts.ids) { stream.write(opts.ids); stream.end() }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+function createAPIPostRequests (opts) {
+  var batchSize = opts.batchSize || POSTMAX
+  var batch = []
+  var stream = through.obj(transform, flush)
+  return stream
+
+  function transform (obj, enc, next) {
+    var self = this
+    splitIDs(obj).forEach(function (id) {
+      batch.push(id)
+      if (batch.length === batchSize) { push(self) }
+    })
+    next()
+  }
+
+  function flush (done) {
+    if (batch.length > 0) { push(this) }
+    done()
+  }
+
+  function push (self) {
+    var req = {
+      url: APIROOT + 'epost.fcgi',
+      form: { db: opts.db, id: batch.join(',') }
+    }
+    debug('epost request', batch.length + ' UIDs')
+    self.push(req)
+    batch = []
+  }
+}
+
+function splitIDs (obj) {
+  var ids = Array.isArray(obj) ? obj : obj.toString().split(/[\s,]+/)
+  return ids.map(String).filter(function (id) { return id !== '' })
+}
+
+function createPostHandle (db) {
+  var stream = through.obj(transform)
   return stream
+
+  function transform (obj, enc, next) {
+    var self = this
+    xml2js(obj.body, gotParsed)
+    function gotParsed (err, data) {
+      if (err) { self.emit('error', err); return next() }
+      var res = data && data.ePostResult
+      if (!res || !res.WebEnv) {
+        var msg = res && res.ERROR ? res.ERROR[0] : 'NCBI returned invalid results'
+        self.emit('error', new QueryError(msg + '\nThis is what failed: ' + obj.url, { url: obj.url }))
+        return next()
+      }
+      var invalid = res.InvalidIdList ? res.InvalidIdList[0].Id.length : 0
+      self.push({
+        db: db,
+        webenv: res.WebEnv[0],
+        queryKey: res.QueryKey[0],
+        count: obj.form.id.split(',').length - invalid
+      })
+      next()
+    }
+  }
 }
 
 // ## Link
@@ -238,80 +574,255 @@ function fetchByID (db) {
 //     => { "srcDB":"taxonomy",
 //          "destDB":"sra",
 //          "srcUID":"443821",
+//          "linkName":"taxonomy_sra",
+//          "linkNames":["taxonomy_sra"],
+//          "destUIDs":["677548", "677547", [...]] }
 //
-//          "destUID":"677548" }
-//     => { "srcDB":"taxonomy",
-//          "destDB":"sra",
-//          "srcUID":"443821",
-//          "destUID":"677547" }
+// Every source UID is emitted, with an empty `destUIDs` array when it has no links.
+// `linkNames` lists all the links NCBI found for that UID, so an empty `destUIDs` with
+// a non empty `linkNames` means the requested `linkName` doesn't apply.
+//
+// With `emit: 'pairs'` one record is emitted per link instead, and source UIDs
+// without links get a record with a `null` destUID:
+//
+//     ncbi.link({ srcDB: 'taxonomy', destDB: 'sra', srcUID: 443821, emit: 'pairs' })
+//     => { "srcDB":"taxonomy", "srcUID":"443821", "destDB":"sra", "destUID":"677548", "linkName":"taxonomy_sra" }
+//     => { "srcDB":"taxonomy", "srcUID":"443821", "destDB":"sra", "destUID":"677547", "linkName":"taxonomy_sra" }
 //     => [...]
 //
-// Also works with write and pipe, like **Search**.
+// Like the other methods, a callback passed as last argument gets an array with all the results.
+//
+// Also works with write and pipe, like **Search**, and accepts the handles emitted
+// by **Post** instead of a UID, in which case `srcUID` is the list of posted UIDs.
+// Source UIDs are sent to NCBI in batches of `batchSize` (default 100) per request,
+// while still emitting one object per source UID:
+//
+//     ncbi.link({ srcDB: 'sra', destDB: 'bioproject', srcUID: ['35533', '35532'] })
+//
+// By default the destination UIDs come from the `<srcDB>_<destDB>` link, but any other
+// link can be chosen with `linkname`:
+//
+//     ncbi.link({ srcDB: 'assembly', destDB: 'nuccore', linkname: 'assembly_nuccore_refseq', srcUID: '503988' })
+//
+// The `cmd` option selects other ELink modes:
+//
+// * `neighbor_score` adds `links: [{ destUID, score }]`, e.g. for similar pubmed articles
+//   (or a `score` on each record with `emit: 'pairs'`)
+// * `acheck` lists every available link as `linkInfo: [{ destDB, linkName, menuTag, htmlTag, priority }]`
+// * `ncheck` and `lcheck` set `hasNeighbor` or `hasLinkOut`
+// * `llinks`, `llinkslib` and `prlinks` list LinkOut resources as `linkOut: [{ url, linkName, provider, ... }]`
+//
+//     ncbi.link({ srcDB: 'pubmed', destDB: 'pubmed', cmd: 'neighbor_score', srcUID: '20210808' })
+//     => { "srcDB":"pubmed",
+//          "destDB":"pubmed",
+//          "srcUID":"20210808",
+//          "linkName":"pubmed_pubmed",
+//          "linkNames":["pubmed_pubmed", "pubmed_pubmed_combined", [...]],
+//          "destUIDs":["20210808", "19143993", [...]],
+//          "links":[{"destUID":"20210808","score":2147483647}, [...]] }
 
 ncbi.link = function (srcDB, destDB, srcUID, cb) {
   insight.track('ncbi', 'link')
+  if (typeof destDB === 'function') { cb = destDB }
+  if (typeof srcUID === 'function') { cb = srcUID; srcUID = undefined }
   var opts = typeof srcDB === 'string' ? { srcDB, destDB, srcUID } : srcDB
+
+  checkDb(opts.srcDB === 'tax' ? 'taxonomy' : opts.srcDB)
+  if (opts.destDB !== undefined) { checkDb(opts.destDB) }
+  if (opts.cmd && LINKCMDS.indexOf(opts.cmd) < 0) {
+    throw new Error('The elink cmd "' + opts.cmd + '" is not supported, use one of: ' + LINKCMDS.join(', '))
+  }
+  if (opts.emit && ['sources', 'pairs'].indexOf(opts.emit) < 0) {
+    throw new Error('The link emit mode "' + opts.emit + '" is not supported, use sources or pairs')
+  }
+  opts.emit = opts.emit || 'sources'
+
   var stream = pumpify.obj(
-    createAPILinkURL(opts.srcDB, opts.destDB),
-    requestStream(true),
-    createLinkObj()
+    createAPILinkURL(opts),
+    requestStream(true, opts),
+    createLinkObj(opts)
   )
 
   if (opts.srcUID) { stream.write(opts.srcUID); stream.end() }
-  if (cb) { stream.on('data', cb) } else { return stream }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
 }
 
-function createAPILinkURL (srcDB, destDB) {
-  var stream = through.obj(transform)
-  if (srcDB === 'tax') { srcDB = 'taxonomy' }
+function createAPILinkURL (opts) {
+  var srcDB = opts.srcDB === 'tax' ? 'taxonomy' : opts.srcDB
+  var batchSize = opts.batchSize || LINKMAX
+  var batch = []
+  var stream = through.obj(transform, flush)
   return stream
 
   function transform (obj, enc, next) {
+    var self = this
+    if (isHandle(obj)) {
+      push(self, ['query_key=' + obj.queryKey, 'WebEnv=' + obj.webenv])
+      return next()
+    }
+    splitIDs(obj).forEach(function (id) {
+      batch.push(id)
+      if (batch.length === batchSize) { pushBatch(self) }
+    })
+    next()
+  }
+
+  function flush (done) {
+    if (batch.length > 0) { pushBatch(this) }
+    done()
+  }
+
+  // Repeating id= instead of joining with commas keeps one LinkSet per source UID
+  function pushBatch (self) {
+    push(self, batch.map(function (id) { return 'id=' + id }))
+    batch = []
+  }
+
+  function push (self, ids) {
     var query = [
       APIROOT + 'elink.fcgi?',
       'dbfrom=' + srcDB,
-      'db=' + destDB,
-      'id=' + obj.toString()
-    ].join('&')
-    this.push(query)
-    next()
+      'db=' + opts.destDB
+    ].concat(ids)
+    if (opts.linkname) { query.push('linkname=' + opts.linkname) }
+    if (opts.cmd && opts.cmd !== 'neighbor') { query.push('cmd=' + opts.cmd) }
+    query = query.join('&')
+    debug('elink request', query)
+    self.push(query)
   }
 }
 
-function createLinkObj () {
+function createLinkObj (opts) {
   var stream = through.obj(transform)
   return stream
 
   function transform (obj, enc, next) {
     var self = this
     var query = URL.parse(obj.url, true).query
-    var result = {
-      srcDB: query.dbfrom,
-      destDB: query.db,
-      srcUID: query.id
-    }
+    var linkName = opts.linkname || query.dbfrom + '_' + query.db
     xml2js(obj.body, gotParsed)
     function gotParsed (err, data) {
       if (err) { self.emit('error', err); return next() }
-      if (!data.eLinkResult.LinkSet[0].LinkSetDb) { return next() }
-      data.eLinkResult.LinkSet[0].LinkSetDb.forEach(getMatch)
-      self.push(result)
+      var linkSets = (data && data.eLinkResult && data.eLinkResult.LinkSet) || []
+      linkSets.forEach(function (linkSet) {
+        if (linkSet.IdCheckList) { return linkSet.IdCheckList.forEach(pushChecks) }
+        if (linkSet.IdUrlList) { return linkSet.IdUrlList.forEach(pushLinkOuts) }
+        pushLinks(linkSet)
+      })
       next()
     }
-    function getMatch (link) {
-      var linkName = query.dbfrom + '_' + query.db
-      if (link.LinkName[0] !== linkName) { return }
-      var destUIDs = []
-      link.Link.forEach(getLink)
-      function getLink (link) { destUIDs.push(link.Id[0]) }
-      result.destUIDs = destUIDs
+
+    function pushLinks (linkSet) {
+      var srcUIDs = linkSet.IdList ? ids(linkSet.IdList[0].Id) : [].concat(query.id)
+      var srcUID = srcUIDs.length === 1 ? srcUIDs[0] : srcUIDs
+      var linkSetDbs = linkSet.LinkSetDb || []
+      var links = []
+      linkSetDbs.forEach(function (linkSetDb) {
+        if (text(linkSetDb.LinkName) !== linkName) { return }
+        links = (linkSetDb.Link || []).map(function (link) {
+          var result = { destUID: text(link.Id) }
+          if (link.Score) { result.score = parseInt(text(link.Score), 10) }
+          return result
+        })
+      })
+
+      if (opts.emit === 'pairs') {
+        if (links.length === 0) { links = [{ destUID: null }] }
+        return links.forEach(function (link) {
+          self.push(Object.assign({
+            srcDB: query.dbfrom,
+            srcUID: srcUID,
+            destDB: query.db,
+            linkName: linkName
+          }, link))
+        })
+      }
+
+      var result = {
+        srcDB: query.dbfrom,
+        destDB: query.db,
+        srcUID: srcUID,
+        linkName: linkName,
+        linkNames: linkSetDbs.map(function (linkSetDb) { return text(linkSetDb.LinkName) }),
+        destUIDs: links.map(function (link) { return link.destUID })
+      }
+      if (opts.cmd === 'neighbor_score') { result.links = links }
+      self.push(result)
+    }
+
+    function pushChecks (checkList) {
+      if (checkList.IdLinkSet) {
+        checkList.IdLinkSet.forEach(function (idLinkSet) {
+          self.push({
+            srcDB: query.dbfrom,
+            srcUID: text(idLinkSet.Id),
+            linkInfo: (idLinkSet.LinkInfo || []).map(function (info) {
+              return {
+                destDB: text(info.DbTo),
+                linkName: text(info.LinkName),
+                menuTag: text(info.MenuTag),
+                htmlTag: text(info.HtmlTag),
+                url: text(info.Url),
+                priority: parseInt(text(info.Priority), 10)
+              }
+            })
+          })
+        })
+      }
+      if (checkList.Id) {
+        checkList.Id.forEach(function (id) {
+          var result = { srcDB: query.dbfrom, srcUID: text(id) }
+          var attrs = id.$ || {}
+          if (attrs.HasNeighbor) { result.hasNeighbor = attrs.HasNeighbor === 'Y' }
+          if (attrs.HasLinkOut) { result.hasLinkOut = attrs.HasLinkOut === 'Y' }
+          self.push(result)
+        })
+      }
+    }
+
+    function pushLinkOuts (urlList) {
+      (urlList.IdUrlSet || []).forEach(function (urlSet) {
+        self.push({
+          srcDB: query.dbfrom,
+          srcUID: text(urlSet.Id),
+          linkOut: (urlSet.ObjUrl || []).map(function (objUrl) {
+            var provider = objUrl.Provider ? objUrl.Provider[0] : {}
+            return {
+              url: text(objUrl.Url),
+              linkName: text(objUrl.LinkName),
+              subjectTypes: ids(objUrl.SubjectType),
+              categories: ids(objUrl.Category),
+              attributes: ids(objUrl.Attribute),
+              provider: {
+                id: text(provider.Id),
+                name: text(provider.Name),
+                nameAbbr: text(provider.NameAbbr),
+                url: text(provider.Url)
+              }
+            }
+          })
+        })
+      })
     }
   }
 }
 
+// xml2js wraps every element in an array, and elements with attributes in {_: text}
+function text (node) {
+  if (Array.isArray(node)) { node = node[0] }
+  if (node === undefined || node === null) { return undefined }
+  return typeof node === 'object' ? node._ : node
+}
+
+function ids (nodes) {
+  return (nodes || []).map(text)
+}
+
 // ## Property link (Plink)
 // Similar to Link but takes the srcID from a property of the Streamed object
 // and attaches the result to a property with the name of the destination DB.
+// Objects are linked in batches of `batchSize` (default 100) with a single
+// request each, and emitted in the order they came in.
 //
 //     ncbi.search('genome', 'arthropoda')
 //     .pipe(ncbi.expand('tax'))
@@ -324,22 +835,64 @@ ncbi.plink = function (property, destDB) {
 
   var srcDB = opts.property.split('.').pop()
   var destProperty = opts.destDB + 'id'
-  var stream = through.obj(transform)
+  checkDb(srcDB === 'tax' ? 'taxonomy' : srcDB)
+  checkDb(opts.destDB)
+  var batchSize = opts.batchSize || LINKMAX
+  var pending = []
+  var stream = through.obj(transform, flush)
   return stream
 
   function transform (obj, enc, next) {
-    var self = this
-    var id = tool.getValue(obj, opts.property + 'id')
-    if (!id) {
-      self.push(obj)
-      return next()
+    pending.push(obj)
+    if (pending.length < batchSize) { return next() }
+    linkBatch(this, next)
+  }
+
+  function flush (done) {
+    linkBatch(this, done)
+  }
+
+  function linkBatch (self, cb) {
+    var batch = pending
+    var srcUIDs = []
+    var destUIDs = {}
+    var finished = false
+    pending = []
+
+    batch.forEach(function (obj) {
+      var id = tool.getValue(obj, opts.property + 'id')
+      if (!id) { return }
+      if (!obj[destProperty]) { obj[destProperty] = [] }
+      srcUIDs = srcUIDs.concat(id)
+    })
+    if (srcUIDs.length === 0) { return gotLinks() }
+
+    var linkOpts = Object.assign({}, opts, { srcDB: srcDB, srcUID: srcUIDs.map(String), emit: 'sources' })
+    ncbi.link(linkOpts)
+    .on('data', function (data) {
+      destUIDs[data.srcUID] = data.destUIDs
+    })
+    .on('error', finish)
+    .on('end', function () { finish() })
+
+    // A failed link never ends, so its error is passed on in place of the batch
+    function finish (err) {
+      if (finished) { return }
+      finished = true
+      if (err) { return cb(err) }
+      gotLinks()
     }
-    if (!obj[destProperty]) { obj[destProperty] = [] }
-    ncbi.link(srcDB, opts.destDB, id, gotData)
-    function gotData (data) {
-      if (data.destUIDs) { obj[destProperty] = data.destUIDs }
-      self.push(obj)
-      next()
+
+    function gotLinks () {
+      batch.forEach(function (obj) {
+        var id = tool.getValue(obj, opts.property + 'id')
+        var linked = [].concat(id || []).reduce(function (acc, id) {
+          return acc.concat(destUIDs[id] || [])
+        }, [])
+        if (linked.length > 0) { obj[destProperty] = linked }
+        self.push(obj)
+      })
+      cb()
     }
   }
 }
@@ -349,7 +902,7 @@ ncbi.plink = function (property, destDB) {
 // ** Currently only supports sra and assembly databases. **
 // Also accepts the keyword gff for annotations.
 // Returns a stream that emits download progress and ends with download path
-// The name of the folder where the file is saved corresponds to the UID from NCBI.
+// By default the name of the folder where the file is saved corresponds to the UID from NCBI.
 //
 //     ncbi.download('assembly', 'solenopsis invicta')
 //     .on('data', console.log)
@@ -359,28 +912,118 @@ ncbi.plink = function (property, destDB) {
 //     => Downloading 244018/unplaced.scaf.fa.gz 0.94 % of 106 MB at 0.48 MB/s
 //     => Downloading 244018/unplaced.scaf.fa.gz 100.00 % of 106 MB at 0.49 MB/s"
 //     => File saved at 244018/unplaced.scaf.fa.gz
+//
+// For assemblies the md5 of each file is looked up in the `md5checksums.txt` next to it
+// and checked after the download, or before it if the file is already there. A verified
+// file emits `status: 'verified'`, a corrupt one `status: 'checksum_mismatch'` and is
+// downloaded again from scratch, emitting a `ChecksumError` if it still doesn't match.
+// Pass `verify: false` to skip the checks, or `verifyOnly: true` to check files that were
+// already downloaded without downloading anything (missing files emit `status: 'missing'`).
+//
+//     $ bionode-ncbi download assembly solenopsis invicta --verify-only
+//
+// Several assembly files can be downloaded from a single search with `types`, which takes
+// any of assembly, fasta, fna, faa, gff, gbff, gpff, repeats and md5. Progress objects then
+// have a `type`, types the assembly doesn't have emit `status: 'unavailable'`, and each UID
+// ends with a manifest of its files:
+//
+//     ncbi.download({ db: 'assembly', term: 'solenopsis invicta', types: ['fna', 'gff', 'faa'] })
+//     => { uid: '244018', type: 'fna', url: [...], path: '244018/GCA_000188075.1_Si_gnG_genomic.fna.gz', status: 'verified', [...] }
+//     => [...]
+//     => { uid: '244018', status: 'finished', files: [{ type: 'fna', url: [...], path: [...], status: 'verified' }, [...]], missing: [] }
+//
+//     $ bionode-ncbi download assembly solenopsis invicta --types fna,gff,faa
+//
+// Files are downloaded one at a time unless `concurrency` is set. Manifests still come
+// out in the order of the search results, while the stream emits `progress` events
+// summing up all files (`--pretty` draws them in the terminal instead of JSON progress):
+//
+//     ncbi.download({ db: 'assembly', term: 'solenopsis', types: ['fna', 'gff'], concurrency: 4 })
+//     .on('progress', console.log)
+//     => { files: { done: 3, total: 8 }, bytes: { done: 104857600, total: 524288000 }, eta: 42 }
+//
+//     $ bionode-ncbi download assembly solenopsis --types fna,gff --concurrency 4 --pretty
+//
+// Files go to `<uid>/<file name>` under the current directory unless `outDir` and a naming
+// `template` say otherwise. The template can use `{outDir}`, `{uid}`, `{file}`, `{type}`,
+// `{runAcc}` for SRA and any field of the search result, and the emitted paths are absolute.
+// Files are downloaded to a `.tmp` file first and only renamed once complete (and verified),
+// so an existing file is never a partial download:
+//
+//     ncbi.download({ db: 'assembly', term: 'solenopsis', outDir: 'genomes', template: '{organism}/{assemblyAccession}/{file}' })
+//     => { uid: '244018', path: '/home/me/genomes/Solenopsis_invicta/GCA_000188075.1/GCA_000188075.1_Si_gnG_genomic.fna.gz', [...] }
+//
+//     $ bionode-ncbi download sra solenopsis --out-dir reads --template '{runAcc}.sra'
+//
+// With `dryRun: true` nothing is downloaded. Each file that would be is emitted with
+// `status: 'planned'` and its `size` in bytes (`status: 'exists'` if it's already there),
+// and the stream ends with the totals. `count: true` works like in **Search**:
+//
+//     ncbi.download({ db: 'sra', term: 'human', dryRun: true })
+//     => { uid: '280116', url: [...], path: '280116/SRR620577', status: 'planned', size: 2034567890 }
+//     => [...]
+//     => { status: 'planned', files: 1204, bytes: 3109871234567, unknownSizes: 0 }
+//
+//     $ bionode-ncbi download sra human --count
+//     $ bionode-ncbi download sra human --dry-run
 
 ncbi.download = function (db, term, cb) {
   insight.track('ncbi', 'download')
 
   var opts = typeof db === 'string' ? { db: db, term } : db
-  opts.db = opts.db
-  var stream = pumpify.obj(
-    ncbi.urls(opts.db),
-    download(opts)
-  )
+  cb = typeof term === 'function' ? term : cb
+  if (opts.types) {
+    opts.types = typeof opts.types === 'string' ? opts.types.split(',') : opts.types
+    opts.types.forEach(function (type) {
+      if (ASSEMBLYFILES.indexOf(type) === -1) {
+        throw new Error(`Unknown assembly file type ${type}, valid types are ${ASSEMBLYFILES.join(', ')}`)
+      }
+    })
+    opts.db = 'assembly'
+  }
+  // The search behind the URLs gets the same limit, cache and request options,
+  // while the term is written below and dry runs are handled by the downloader
+  var urlsOpts = Object.assign({}, opts, { term: undefined, dryRun: false })
+  var stream
+  if (opts.count) {
+    stream = ncbi.urls(Object.assign(urlsOpts, { count: true }))
+  } else {
+    var downloader = download(opts)
+    stream = pumpify.obj(
+      ncbi.urls(Object.assign(urlsOpts, { records: true })),
+      downloader
+    )
+    downloader.on('progress', function (data) { stream.emit('progress', data) })
+  }
 
   if (opts.term) { stream.write(opts.term); stream.end() }
   if (cb) { stream.pipe(concat(cb)) } else { return stream }
 }
 
 function download (db) {
-  var stream = through.obj(transform)
+  // added opts.db definition here since it is a local variable in ncbi.urls
+  var opts = typeof db === 'string' ? { db } : db
+  var concurrency = opts.concurrency || 1
+  var queue = async.queue(function (job, cb) { job(cb) }, concurrency)
+  var progress = downloadProgress(opts.pretty === true ? progressDisplay.create(process.stderr) : null)
+  // UIDs being downloaded, in the order they came in
+  var running = []
+  var waiting = null
+  var flushed = null
+  var planned = { status: 'planned', files: 0, bytes: 0, unknownSizes: 0 }
+  var stream = through.obj(transform, flush)
+  progress.on('progress', function (data) { stream.emit('progress', data) })
   return stream
 
   function transform (obj, enc, next) {
     var self = this
-    var folder = obj.uid + '/'
+    var types = opts.types || [opts.db]
+    var checksums = {}
+    var files = []
+    var missing = []
+    var current = { finished: false, manifest: null }
+    running.push(current)
+    if (running.length < concurrency) { next() } else { waiting = next }
 
     var extractFiles = {
       'sra': function () { return obj.url },
@@ -395,88 +1038,393 @@ function download (db) {
       'md5': function () { return obj.md5checksums.txt }
     }
 
-    // added opts.db definition here since it is a local variable in ncbi.urls
-    var opts = typeof db === 'string' ? { db } : db
-
-    var url = extractFiles[opts.db]()
-
-    var path = folder + url.replace(/.*\//, '')
+    var manifest = obj.md5checksums && obj.md5checksums.txt
+    if (opts.verify === false || opts.dryRun || !manifest) {
+      gotChecksums()
+    } else {
+      getChecksums(manifest, opts, gotChecksums)
+    }
 
-    var log = {
-      uid: obj.uid,
-      url: url,
-      path: path
+    function gotChecksums (err, md5s) {
+      if (err) { debug('checksum manifest unavailable', err.message) }
+      checksums = md5s || {}
+      async.eachOf(types, function (type, index, cb) {
+        queue.push(function (done) { downloadFile(type, index, done) }, cb)
+      }, finish)
     }
 
-    mkdirp(obj.uid, {mode: '0755'}, gotDir)
-    function gotDir (err) {
-      if (err) { self.emit('error', err) }
-      debug('downloading', url)
-      var options
-      if (opts.pretty === true) {
-        if (fs.existsSync(path)) {
-          console.log('File already exists in: ' + path + '\n')
-          options = { dir: folder, resume: true, quiet: true }
-        } else {
-          options = { dir: folder, resume: true, quiet: false }
+    // Multi-type downloads end with a manifest of every file for the UID
+    function finish () {
+      if (opts.types) {
+        current.manifest = {
+          uid: obj.uid,
+          status: 'finished',
+          files: files.filter(Boolean),
+          missing: missing
         }
-      } else {
-        options = { dir: folder, resume: true, quiet: true }
       }
-      var dld = nugget(PROXY + url, options, function (err) {
+      current.finished = true
+      pushFinished()
+    }
+
+    function downloadFile (type, index, done) {
+      var url
+      try { url = extractFiles[type]() } catch (e) {}
+      if (!url) {
+        missing.push(type)
+        self.push({ uid: obj.uid, type: type, status: 'unavailable' })
+        return done()
+      }
+
+      var dest = downloadPath(opts, obj, type, url)
+      var tmp = dest + '.tmp'
+
+      var log = {
+        uid: obj.uid,
+        url: url,
+        path: dest
+      }
+      if (opts.types) { log.type = type }
+
+      // SRA sources can give the md5 with the URL, assemblies list it in md5checksums.txt
+      var expected = type === 'md5' ? undefined : obj.md5 || checksums[url.replace(/.*\//, '')]
+      var attempts = 0
+      progress.add(dest)
+
+      if (opts.dryRun) { return plan() }
+      if (opts.verifyOnly) { return audit() }
+      // Files only get their final name once complete, so an existing one needs no download
+      if (fs.existsSync(dest)) {
+        debug('file already exists', dest)
+        if (!expected) { return completed(dest) }
+        return verify(dest, function (err, ok) {
+          if (err || !ok) { return start() }
+          log.status = 'verified'
+          finishFile()
+        })
+      }
+      mkdirp(path.dirname(dest), {mode: '0755'}, start)
+
+      // Downloads into a .tmp file next to the final path and renames it when done
+      function start (err) {
         if (err) return self.destroy(err)
-        fs.stat(path, gotStat)
-        function gotStat (err, stat) {
+        attempts++
+        debug('downloading', url, 'to', tmp)
+        var options = { dir: path.dirname(tmp), target: path.basename(tmp), resume: true, quiet: true }
+        var dld = nugget(PROXY + url, options, function (err) {
+          if (err) return self.destroy(err)
+          if (!expected) { return rename() }
+          verify(tmp, gotVerified)
+        })
+        dld.on('progress', logging)
+      }
+
+      function rename () {
+        fs.rename(tmp, dest, function (err) {
+          if (err) return self.destroy(err)
+          if (!expected) { return completed(dest) }
+          log.status = 'verified'
+          finishFile()
+        })
+      }
+
+      function completed (file) {
+        fs.stat(file, function (err, stat) {
           if (err) return self.destroy(err)
           log.status = 'completed'
           log.speed = 'NA'
           log.size = Math.round(stat.size / 1024 / 1024) + ' MB'
-          self.push(log)
-          next()
+          finishFile()
+        })
+      }
+
+      // A resumed download can be corrupt, so the file is downloaded from scratch once
+      // more before giving up.
+      function gotVerified (err, ok) {
+        if (err) { return self.destroy(err) }
+        if (ok) { return rename() }
+        log.status = 'checksum_mismatch'
+        self.push(log)
+        if (attempts < DOWNLOADATTEMPTS) {
+          return fs.unlink(tmp, function (err) {
+            if (err) return self.destroy(err)
+            start()
+          })
         }
-      })
-      if (opts.pretty !== true) {
-        dld.on('progress', logging)
+        self.emit('error', new ChecksumError(
+          `Checksum of ${url} doesn't match md5checksums.txt after ${attempts} downloads`,
+          { url: url, path: tmp, expected: expected, actual: log.md5 })
+        )
+        files[index] = { type: type, url: url, path: dest, status: log.status }
+        progress.finish(dest)
+        done()
+      }
+
+      // With verifyOnly nothing is downloaded, existing files are only checked
+      function audit () {
+        if (!fs.existsSync(dest)) {
+          log.status = 'missing'
+        } else if (!expected) {
+          log.status = 'unverified'
+        } else {
+          return verify(dest, function (err, ok) {
+            if (err) { return self.destroy(err) }
+            log.status = ok ? 'verified' : 'checksum_mismatch'
+            finishFile()
+          })
+        }
+        finishFile()
+      }
+
+      // With dryRun nothing is downloaded, files that would be get their size
+      function plan () {
+        if (fs.existsSync(dest)) {
+          log.status = 'exists'
+          return finishFile()
+        }
+        fileSize(url, opts, function (size) {
+          log.status = 'planned'
+          log.size = obj.size !== undefined ? obj.size : size
+          planned.files++
+          if (log.size === null) { planned.unknownSizes++ } else { planned.bytes += log.size }
+          finishFile()
+        })
+      }
+
+      function verify (file, cb) {
+        md5File(file, function (err, md5) {
+          if (err) { return cb(err) }
+          log.md5 = md5
+          debug('checksum', file, md5, expected === md5 ? 'ok' : 'expected ' + expected)
+          cb(null, md5 === expected)
+        })
+      }
+
+      function finishFile () {
+        self.push(log)
+        files[index] = { type: type, url: url, path: dest, status: log.status }
+        progress.finish(dest)
+        done()
+      }
+
+      function logging (data) {
+        progress.update(dest, data)
+        if (opts.pretty === true) { return }
+        log.status = 'downloading'
+        log.total = data.transferred
+        log.progress = data.percentage
+        log.speed = data.speed
+        self.push(log)
       }
     }
+  }
 
-    function logging (data) {
-      log.status = 'downloading'
-      log.total = data.transferred
-      log.progress = data.percentage
-      log.speed = data.speed
-      self.push(log)
+  // Manifests are pushed in the order the UIDs came in, whichever finished first
+  function pushFinished () {
+    while (running.length > 0 && running[0].finished) {
+      var done = running.shift()
+      if (done.manifest) { stream.push(done.manifest) }
+    }
+    if (waiting && running.length < concurrency) {
+      var next = waiting
+      waiting = null
+      next()
+    }
+    // Resuming a waiting transform can flush the stream and get here first
+    if (flushed && running.length === 0) {
+      var end = flushed
+      flushed = null
+      progress.end()
+      if (opts.dryRun) { stream.push(planned) }
+      end()
     }
   }
+
+  function flush (done) {
+    flushed = done
+    pushFinished()
+  }
 }
 
-// ## URLs
-// Takes a NCBI database string and a optional search term and returns as stream of dataset/sequence files URLs.
-// ** Currently only supports sra and assembly databases. **
-// Also accepts the keyword gff for annotations.
-// The value of the uid property corresponds to the UID from NCBI.
-//
+// Keeps track of the files of a download stream and emits `progress` events with
+// the number of files done, the bytes transferred and the estimated seconds left.
+// Byte totals only count files that have started, so they grow as downloads start.
+function downloadProgress (display) {
+  var emitter = new EventEmitter()
+  var transfers = {}
+  var files = { done: 0, total: 0 }
+  var started = Date.now()
+  var last = 0
+
+  emitter.add = function (path) {
+    files.total++
+    transfers[path] = { path: path, transferred: 0, length: 0, percentage: 0, speed: 0, active: false }
+    report(true)
+  }
+  emitter.update = function (path, data) {
+    var transfer = transfers[path]
+    transfer.active = true
+    transfer.transferred = data.transferred || 0
+    transfer.length = data.length || transfer.length
+    transfer.percentage = data.percentage || 0
+    transfer.speed = data.speed || 0
+    report(false)
+  }
+  emitter.finish = function (path) {
+    files.done++
+    transfers[path].active = false
+    report(true)
+  }
+  emitter.end = function () {
+    report(true)
+    if (display) { display.end() }
+  }
+  return emitter
+
+  // Redrawing on every chunk would flood the terminal, so updates are throttled
+  function report (force) {
+    var now = Date.now()
+    if (!force && now - last < 200) { return }
+    last = now
+    var all = Object.keys(transfers).map(function (path) { return transfers[path] })
+    var bytes = all.reduce(function (acc, transfer) {
+      acc.done += transfer.transferred
+      acc.total += transfer.length
+      return acc
+    }, { done: 0, total: 0 })
+    var rate = bytes.done / ((now - started) / 1000)
+    var state = {
+      files: { done: files.done, total: files.total },
+      bytes: bytes,
+      eta: rate > 0 ? Math.round((bytes.total - bytes.done) / rate) : null
+    }
+    emitter.emit('progress', state)
+    if (display) {
+      display.render(state, all.filter(function (transfer) { return transfer.active }))
+    }
+  }
+}
+
+// Fills the `template` option (default `{uid}/{file}`) with the file name, the UID, the file
+// type, the run accession for SRA and any field of the search result, in any case (e.g.
+// `{assemblyAccession}`). Returns an absolute path, relative ones being under `outDir`.
+function downloadPath (opts, obj, type, url) {
+  var outDir = path.resolve(opts.outDir || process.cwd())
+  var fields = templateFields(opts.db === 'sra' ? 'sra' : 'assembly', obj.record)
+  fields.outdir = outDir
+  fields.uid = obj.uid
+  fields.file = url.replace(/.*\//, '')
+  fields.type = type
+  if (obj.run) { fields.runacc = obj.run }
+  var filled = (opts.template || '{uid}/{file}').replace(/\{(\w+)\}/g, function (match, name) {
+    var value = fields[name.toLowerCase()]
+    if (value === undefined || value === null || value === '') {
+      debug('no value for download template field', name)
+      value = 'unknown'
+    }
+    return name.toLowerCase() === 'outdir' ? value : String(value).replace(/[^\w.-]+/g, '_')
+  })
+  return path.resolve(outDir, filled)
+}
+
+// Text and number fields of the search result, from its normalized record when the
+// database has a schema, keyed in lower case.
+function templateFields (db, record) {
+  var fields = {}
+  if (!record) { return fields }
+  var normalized = record
+  try { normalized = schemas.normalize(db, record) } catch (e) {}
+  ;[record, normalized].forEach(function (doc) {
+    Object.keys(doc).forEach(function (key) {
+      var value = doc[key]
+      if (typeof value === 'string' || typeof value === 'number') { fields[key.toLowerCase()] = value }
+    })
+  })
+  return fields
+}
+
+// Takes the URL of an assembly md5checksums.txt and calls back with the md5 of
+// each file in that folder, keyed by file name.
+function getChecksums (manifestURL, opts, cb) {
+  request({
+    uri: PROXY + manifestURL,
+    timeout: retryPolicy(opts).timeout,
+    withCredentials: false
+  }, function (err, res, body) {
+    if (err) { return cb(err) }
+    if (res.statusCode !== 200) { return cb(new Error('HTTP ' + res.statusCode + ' for ' + manifestURL)) }
+    cb(null, parseChecksums(body))
+  })
+}
+
+// Lines of md5checksums.txt look like `<md5>  ./<filename>`
+function parseChecksums (text) {
+  var checksums = {}
+  String(text).split('\n').forEach(function (line) {
+    var match = line.trim().match(/^([0-9a-f]{32})\s+(.+)$/i)
+    if (match) { checksums[path.basename(match[2])] = match[1].toLowerCase() }
+  })
+  return checksums
+}
+
+function md5File (file, cb) {
+  var hash = crypto.createHash('md5')
+  fs.createReadStream(file)
+  .on('error', cb)
+  .on('data', function (data) { hash.update(data) })
+  .on('end', function () { cb(null, hash.digest('hex')) })
+}
+
+// ## URLs
+// Takes a NCBI database string and a optional search term and returns as stream of dataset/sequence files URLs.
+// ** Currently only supports sra and assembly databases. **
+// Also accepts the keyword gff for annotations.
+// The value of the uid property corresponds to the UID from NCBI.
+//
 //     ncbi.urls('assembly', 'solenopsis invicta')
 //     .on('data', console.log)
 //     => {"url":"http://ftp.ncbi.nlm.nih.gov/genbank/genomes/Eukaryotes/invertebrates/Solenopsis_invicta/Si_gnG/Primary_Assembly/unplaced_scaffolds/FASTA/unplaced.scaf.fa.gz",
 //         "uid":"244018/"}
+//
+// SRA runs are looked up in the SRA RunInfo by default. Pass `sraSource: 'ena'` to get
+// the FASTQ files mirrored by ENA instead (see **SRA sources** below):
+//
+//     ncbi.urls({ db: 'sra', sraSource: 'ena' }, 'solenopsis invicta')
+//     => { url: 'https://ftp.sra.ebi.ac.uk/vol1/fastq/SRR620/SRR620577/SRR620577_1.fastq.gz',
+//          uid: '280116', run: 'SRR620577', md5: '[...]', size: 2034567 }
+//
+//     $ bionode-ncbi urls sra solenopsis invicta --sra-source ena
+//
+// With `dryRun: true` every URL gets the `size` of its file in bytes (assemblies get `sizes`,
+// keyed like their URLs), and `count: true` works like in **Search**.
 
 ncbi.urls = function (db, term, cb) {
   insight.track('ncbi', 'urls')
   var opts = typeof db === 'string' ? { db } : db
   cb = typeof term === 'function' ? term : cb
-  var extractFiles = ['gff', 'gpff', 'fasta', 'fna', 'faa', 'repeats']
-  if (extractFiles.indexOf(db) !== -1) { opts.db = 'assembly' }
+  if (ASSEMBLYFILES.indexOf(opts.db) !== -1) { opts.db = 'assembly' }
+  checkDb(opts.db)
+  opts.sraSource = opts.sraSource || 'ncbi'
+  if (typeof opts.sraSource !== 'function' && !SRASOURCES[opts.sraSource]) {
+    throw new Error('The SRA source "' + opts.sraSource + '" is not supported, use ' + Object.keys(SRASOURCES).join(' or '))
+  }
 
-  var stream = pumpify.obj(
-    ncbi.search(opts),
-    createFTPURL(opts.db)
-  )
+  var stream = opts.count
+    ? ncbi.search(opts)
+    : pumpify.obj(
+      ncbi.search(Object.assign({}, opts, { dryRun: false })),
+      createFTPURL(opts.db, opts),
+      opts.dryRun ? createFileSizes(opts) : through.obj()
+    )
   if (term) { stream.write(term); stream.end() }
   if (cb) { stream.pipe(concat(cb)) } else { return stream }
 }
 
-function createFTPURL (db) {
+// With `records` every URL object also carries the search result it came from,
+// which download uses to name files. SRA run URLs come from `sraSource`.
+function createFTPURL (db, opts) {
+  opts = opts || {}
+  var records = opts.records
   var stream = through.obj(transform)
   return stream
 
@@ -490,20 +1438,19 @@ function createFTPURL (db) {
     parseURL[db]()
 
     function sraURL () {
-      var runs = obj.runs.Run
-      async.eachSeries(runs, printSRAURL, next)
-      function printSRAURL (run, cb) {
-        var acc = run.acc
-        var runURL = [
-          'http://ftp.ncbi.nlm.nih.gov/sra/sra-instant/reads/ByRun/sra/',
-          acc.slice(0, 3) + '/',
-          acc.slice(0, 6) + '/',
-          acc + '/',
-          acc + '.sra'
-        ].join('')
-        self.push({url: runURL, uid: obj.uid})
-        cb()
-      }
+      var source = opts.sraSource
+      var resolve = typeof source === 'function' ? source : SRASOURCES[source]
+      resolve(obj, opts, function (err, urls) {
+        if (err) {
+          self.emit('error', err)
+          return next()
+        }
+        urls.forEach(function (file) {
+          if (records) { file.record = obj }
+          self.push(file)
+        })
+        next()
+      })
     }
 
     function assemblyURL () {
@@ -523,6 +1470,7 @@ function createFTPURL (db) {
         var $ = cheerio.load(body)
 
         var urls = { uid: obj.uid }
+        if (records) { urls.record = obj }
 
         $('a').map(attachToResult)
         function attachToResult (i, a) {
@@ -543,44 +1491,267 @@ function createFTPURL (db) {
   }
 }
 
-function requestStream (returnURL) {
-  var timeout = 15000
-  var interval = 0
+// ### SRA sources
+// Each source takes a SRA search result and calls back with one URL object per file:
+//
+// * `ncbi` (default) looks up the runs in the SRA RunInfo and returns the SRA Normalized
+// or Lite object it points to, falling back to the run in the NCBI SRA bucket of the AWS
+// Open Data Program (ODP).
+// * `ena` returns the FASTQ files ENA mirrors for each run, with their md5 and size.
+//
+// A function taking `(searchResult, opts, cb)` can be passed as `sraSource` instead.
+var SRASOURCES = {
+  ncbi: function (obj, opts, cb) {
+    var url = APIROOT + 'efetch.fcgi?db=sra&id=' + obj.uid + '&rettype=runinfo&retmode=text'
+    eutilsBody(url, opts, function (err, body) {
+      if (err) { return cb(err) }
+      var rows = runinfo.parse(body)
+      cb(null, runAccessions(obj).map(function (acc) {
+        var row = rows.filter(function (row) { return row.Run === acc })[0]
+        var location = row && row.download_path
+        return { url: location || SRAODPROOT + acc + '/' + acc, uid: obj.uid, run: acc }
+      }))
+    })
+  },
+  ena: function (obj, opts, cb) {
+    async.mapSeries(runAccessions(obj), function (acc, cb) {
+      request({
+        uri: ENAROOT + 'filereport?accession=' + acc +
+          '&result=read_run&fields=run_accession,fastq_ftp,fastq_md5,fastq_bytes&format=json',
+        json: true,
+        timeout: retryPolicy(opts).timeout,
+        withCredentials: false
+      }, function (err, res, body) {
+        if (err) { return cb(err) }
+        if (res.statusCode !== 200 || !Array.isArray(body)) {
+          return cb(new RequestFailedError(
+            `ENA has no FASTQ files for ${acc} (HTTP ${res.statusCode})`,
+            { url: res.request && res.request.uri.href, statusCode: res.statusCode, attempts: 1 })
+          )
+        }
+        cb(null, body.reduce(function (files, run) {
+          var md5s = (run.fastq_md5 || '').split(';')
+          var sizes = (run.fastq_bytes || '').split(';')
+          return files.concat((run.fastq_ftp || '').split(';').filter(Boolean).map(function (file, i) {
+            return {
+              url: 'https://' + file,
+              uid: obj.uid,
+              run: run.run_accession || acc,
+              md5: md5s[i],
+              size: Number(sizes[i])
+            }
+          }))
+        }, []))
+      })
+    }, function (err, files) {
+      if (err) { return cb(err) }
+      cb(null, [].concat.apply([], files))
+    })
+  }
+}
+
+// With `dryRun` the URLs get the size of their files in bytes, from HEAD requests. Assembly
+// URL objects get `sizes`, with the same keys as their URLs.
+function createFileSizes (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    if (obj.url) {
+      if (obj.size !== undefined) { return next(null, obj) }
+      return fileSize(obj.url, opts, function (size) {
+        obj.size = size
+        next(null, obj)
+      })
+    }
+    var files = []
+    Object.keys(obj).forEach(function (type) {
+      if (type === 'uid' || type === 'record') { return }
+      Object.keys(obj[type]).forEach(function (format) {
+        if (format !== 'dir') { files.push([type, format]) }
+      })
+    })
+    obj.sizes = {}
+    async.eachLimit(files, 4, function (file, cb) {
+      fileSize(obj[file[0]][file[1]], opts, function (size) {
+        obj.sizes[file[0]] = obj.sizes[file[0]] || {}
+        obj.sizes[file[0]][file[1]] = size
+        cb()
+      })
+    }, function () { next(null, obj) })
+  }
+}
+
+// Calls back with the Content-Length of a file, or null when the server doesn't tell
+function fileSize (url, opts, cb) {
+  request({
+    uri: PROXY + url,
+    method: 'HEAD',
+    timeout: retryPolicy(opts).timeout,
+    withCredentials: false
+  }, function (err, res) {
+    var size = !err && res.statusCode === 200 ? parseInt(res.headers['content-length'], 10) : NaN
+    if (isNaN(size)) { debug('size unknown', url, err ? err.message : res.statusCode) }
+    cb(isNaN(size) ? null : size)
+  })
+}
+
+function runAccessions (obj) {
+  return [].concat(obj.runs.Run).map(function (run) { return run.acc })
+}
+
+// Requests a single E-utilities URL through requestStream and calls back with its body
+function eutilsBody (url, opts, cb) {
+  var done = false
+  var body
+  var req = requestStream(false, opts)
+  req.on('data', function (data) { body = data })
+  req.on('error', function (err) { finish(err) })
+  req.on('end', function () { finish(null, body) })
+  req.end(url)
+
+  function finish (err, body) {
+    if (done) { return }
+    done = true
+    cb(err, body)
+  }
+}
+
+// Requests are retried with exponential backoff and jitter when NCBI is
+// unreachable, times out, or answers with HTTP 429/5xx (honoring Retry-After).
+// Once `maxRetries` is exhausted a RequestFailedError is emitted, while errors
+// reported by NCBI about the query itself emit a QueryError straight away.
+// Both can be tuned per stream with `{ maxRetries, timeout, retryDelay }`.
+function requestStream (returnURL, opts) {
+  var policy = retryPolicy(opts)
+  var store = cache.create(opts)
+  var offline = opts && opts.offline === true
   var stream = through.obj(transform)
   return stream
 
   function transform (obj, enc, next) {
     var self = this
-    get()
-    self.tries = 1
+    // History server handles from ncbi.post need no request
+    if (isHandle(obj)) {
+      self.push(obj)
+      return next()
+    }
+    var attempts = 0
+    var url = typeof obj === 'string' ? obj : obj.url
+    var form = typeof obj === 'string' ? undefined : obj.form
+    var key = form ? url + '&' + querystring.stringify(form) : url
+    // POST requests (epost) create a new History server session each time, so they aren't cached
+    var cached = store && !form ? store : null
+    if (cached) { cached.get(key, gotCached) } else { gotCached() }
+
+    function gotCached (err, body) {
+      if (!err && body !== undefined) { return push(body) }
+      if (offline) {
+        self.emit('error', new CacheMissError(
+          `Offline mode and this request is not cached${store ? ' in ' + store.dir : ''}:
+${key}`, { url: key })
+        )
+        return next()
+      }
+      get()
+    }
+
     function get () {
-      if (self.tries > 9) {
-        self.emit('error', new Error(
-          `Query failed after ${self.tries} tries, maybe a term or network issue?
-This is what failed: ${obj}`)
+      attempts++
+      scheduler.schedule(function () {
+        request({
+          uri: scheduler.authorize(url, opts),
+          method: form ? 'POST' : 'GET',
+          form: form,
+          json: true,
+          timeout: policy.timeout,
+          withCredentials: false
+        }, gotData)
+      }, opts)
+    }
+
+    function gotData (err, res, body) {
+      var statusCode = res ? res.statusCode : undefined
+      var details = { url: key, statusCode: statusCode, attempts: attempts }
+      var reported = reportedError(body)
+      var transient = err || !res || !body ||
+        statusCode === 429 || statusCode >= 500 ||
+        isTransientError(reported)
+
+      if (!transient && (reported || statusCode !== 200)) {
+        self.emit('error', new QueryError(
+          `NCBI rejected the query: ${reported || 'HTTP ' + statusCode}
+This is what failed: ${key}`, details)
         )
+        return next()
       }
-      request({ uri: obj, json: true, timeout: timeout, withCredentials: false }, gotData)
-      function gotData (err, res, body) {
-        if (err ||
-          !res ||
-          res.statusCode !== 200 ||
-          !body ||
-          (body.esearchresult && body.esearchresult.ERROR) ||
-          (body.esummaryresult && body.esummaryresult[0] === 'Unable to obtain query #1') ||
-          body.error
-        ) {
-          self.tries++
-          return setTimeout(get, interval)
+
+      if (transient) {
+        if (attempts > policy.maxRetries) {
+          self.emit('error', new RequestFailedError(
+            `Query failed after ${attempts} tries, maybe a network issue or NCBI is down?
+This is what failed: ${key}`, details)
+          )
+          return next()
         }
-        debug('request response', res.statusCode)
-        debug('request results', body)
-        var result = returnURL ? {url: obj, body: body} : body
-        self.push(result)
-        setTimeout(next, interval)
+        var delay = retryDelay(policy, attempts, res)
+        debug('request failed', statusCode || (err && err.code), 'retrying in ' + delay + 'ms', key)
+        return setTimeout(get, delay)
       }
+
+      debug('request response', res.statusCode)
+      debug('request results', body)
+      if (!cached) { return push(body) }
+      cached.set(key, body, function (err) {
+        if (err) { debug('cache write failed', err.message) }
+        push(body)
+      })
     }
+
+    function push (body) {
+      var result = returnURL ? {url: url, body: body} : body
+      if (returnURL && form) { result.form = form }
+      self.push(result)
+      next()
+    }
+  }
+}
+
+function retryPolicy (opts) {
+  opts = opts || {}
+  return {
+    maxRetries: opts.maxRetries !== undefined ? opts.maxRetries : 5,
+    timeout: opts.timeout || 15000,
+    retryDelay: opts.retryDelay !== undefined ? opts.retryDelay : 500,
+    maxDelay: 30000
+  }
+}
+
+// Delay before the next attempt: Retry-After if NCBI sent one, otherwise
+// exponential backoff with random jitter so parallel streams don't retry in lockstep.
+function retryDelay (policy, attempts, res) {
+  var retryAfter = res && res.headers && res.headers['retry-after']
+  if (retryAfter) {
+    var seconds = parseInt(retryAfter, 10)
+    var wait = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000
+    if (wait >= 0) { return Math.min(wait, policy.maxDelay) }
   }
+  var backoff = Math.min(policy.maxDelay, policy.retryDelay * Math.pow(2, attempts - 1))
+  return Math.round(backoff / 2 + Math.random() * backoff / 2)
+}
+
+function reportedError (body) {
+  if (!body || typeof body !== 'object') { return null }
+  if (body.esearchresult && body.esearchresult.ERROR) { return body.esearchresult.ERROR }
+  if (body.esummaryresult && body.esummaryresult[0]) { return body.esummaryresult[0] }
+  if (body.error) { return String(body.error) }
+  return null
+}
+
+// Some errors reported in the body are NCBI hiccups rather than bad queries.
+function isTransientError (msg) {
+  if (!msg) { return false }
+  return /rate limit|unable to obtain query|backend failed|temporarily/i.test(msg)
 }
 
 // ## Expand
@@ -634,6 +1805,594 @@ ncbi.expand = function (property, destProperty) {
   }
 }
 
+// ## RunInfo
+// Takes a SRA search term and returns a stream with one flat record per sequencing run,
+// taken from the SRA RunInfo table instead of the nested esummary documents:
+//
+//     ncbi.runinfo('solenopsis invicta').on('data', console.log)
+//     => { Run: 'SRR620577', Experiment: 'SRX206041', BioSample: 'SAMN01816919', BioProject: 'PRJNA182127',
+//          Platform: 'ILLUMINA', LibraryLayout: 'PAIRED', spots: 23699662, bases: 4787331724,
+//          taxid: 13686, ScientificName: 'Solenopsis invicta' }
+//     => [...]
+//
+// Like **Search** it takes `limit`, `throughput` and the handles emitted by **Post**. The CLI
+// prints NDJSON, or a table with `--format csv` or `--format tsv`:
+//
+//     $ bionode-ncbi runinfo solenopsis invicta --format tsv > runs.tsv
+
+ncbi.runinfo = function (term, cb) {
+  insight.track('ncbi', 'runinfo')
+  var opts = typeof term === 'string' || isHandle(term) ? { term: term } : term
+  opts.db = 'sra'
+
+  var stream = pumpify.obj(
+    createAPISearchUrl(opts),
+    requestStream(true, opts),
+    createAPIPaginateURL(opts, 'efetch', 'rettype=runinfo&retmode=text'),
+    requestStream(false, opts),
+    createRunInfoObj()
+  )
+
+  if (opts.term) { stream.write(opts.term); stream.end() }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+function createRunInfoObj () {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (body, enc, next) {
+    var self = this
+    runinfo.parse(body).forEach(function (run) {
+      self.push({
+        Run: run.Run,
+        Experiment: run.Experiment,
+        BioSample: run.BioSample,
+        BioProject: run.BioProject,
+        Platform: run.Platform,
+        LibraryLayout: run.LibraryLayout,
+        spots: toNumber(run.spots),
+        bases: toNumber(run.bases),
+        taxid: toNumber(run.TaxID),
+        ScientificName: run.ScientificName
+      })
+    })
+    next()
+  }
+}
+
+// ## Taxonomy
+// Takes a name or taxid (or a comma separated list of taxids) and returns a stream of
+// normalized taxonomy nodes with their lineage, from the efetch taxonomy XML:
+//
+//     ncbi.taxonomy('Solenopsis invicta').on('data', console.log)
+//     => { taxid: 13686, rank: 'species', scientificName: 'Solenopsis invicta',
+//          commonName: 'red fire ant', parentTaxid: 13685, division: 'Invertebrates',
+//          lineage: [{ taxid: 131567, rank: 'no rank', name: 'cellular organisms' }, [...],
+//                    { taxid: 13685, rank: 'genus', name: 'Solenopsis' }] }
+//
+// Names are matched against every name NCBI knows for a taxon, including common names
+// and synonyms. With `descendants` it returns the nodes of that rank in the subtree
+// instead, e.g. every genus of ants:
+//
+//     ncbi.taxonomy({ term: 'Formicidae', descendants: 'genus', limit: 500 })
+//
+// Like **Search** it takes `limit`, `throughput`, terms written to the stream and the
+// handles emitted by **Post**. In the CLI, `--format newick` or `--format tree` prints
+// the tree the lineages of all nodes make instead of NDJSON:
+//
+//     $ bionode-ncbi taxonomy Solenopsis --descendants species --format tree
+
+ncbi.taxonomy = function (term, cb) {
+  insight.track('ncbi', 'taxonomy')
+  var opts = typeof term === 'string' || typeof term === 'number' || isHandle(term) ? { term: term } : term
+  opts.db = 'taxonomy'
+
+  var stream = pumpify.obj(
+    createTaxonomyQuery(opts),
+    createAPISearchUrl(opts),
+    requestStream(true, opts),
+    createAPIPaginateURL(opts, 'efetch', 'retmode=xml'),
+    requestStream(false, opts),
+    createTaxonomyObj()
+  )
+
+  if (opts.term) { stream.write(opts.term); stream.end() }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+// Turns names and taxids into Entrez queries, taxids need a field to not be read as text
+function createTaxonomyQuery (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    if (isHandle(obj)) {
+      this.push(obj)
+      return next()
+    }
+    var term = String(obj).trim()
+    var taxids = /^\d+(\s*,\s*\d+)*$/.test(term) ? term.split(/\s*,\s*/) : null
+    var q
+    if (opts.descendants) {
+      q = taxids
+        ? ncbi.query().group(anyOf('Subtree', taxids.map(function (taxid) { return 'txid' + taxid })))
+        : ncbi.query().field('Subtree', term)
+      q.and().field('Rank', opts.descendants)
+    } else {
+      q = taxids ? anyOf('uid', taxids) : ncbi.query().field('All Names', term)
+    }
+    this.push(q)
+    next()
+  }
+}
+
+// Query matching any of the values in a field, e.g. a list of UIDs
+function anyOf (tag, values) {
+  var q = ncbi.query()
+  values.forEach(function (value, i) {
+    if (i > 0) { q.or() }
+    q.field(tag, value)
+  })
+  return q
+}
+
+function createTaxonomyObj () {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (body, enc, next) {
+    var self = this
+    var nodes
+    try {
+      nodes = taxonomy.parse(body)
+    } catch (err) {
+      self.emit('error', err)
+      return next()
+    }
+    nodes.forEach(function (node) { self.push(node) })
+    next()
+  }
+}
+
+// ## Gene
+// Takes a gene symbol or GeneID (or a comma separated list of GeneIDs) and returns a stream
+// of gene records with their genomic locations and RefSeq products. Symbols can be limited
+// to an `organism`, and discontinued genes are left out:
+//
+//     ncbi.gene('BRCA1', { organism: 'Homo sapiens' }).on('data', console.log)
+//     => { geneId: 672, symbol: 'BRCA1', aliases: ['BRCAI', 'BRCC1', [...]],
+//          description: 'BRCA1 DNA repair associated', organism: 'Homo sapiens', taxid: 9606,
+//          chromosome: '17', mapLocation: '17q21.31',
+//          locations: [{ accession: 'NC_000017.11', chromosome: '17', start: 43044295, stop: 43125483,
+//                        strand: -1, exonCount: 24 }],
+//          rnas: ['NM_007294.4', 'NM_007297.4', [...]],
+//          proteins: ['NP_009225.1', 'NP_009228.2', [...]] }
+//
+// The organism can also be passed on its own, as in `ncbi.gene('BRCA1', 'Homo sapiens')`.
+// Coordinates are 1-based and inclusive. RefSeq accessions come from the
+// gene_nuccore_refseqrna and gene_protein_refseq links, which takes a few more requests
+// per gene; pass `products: false` to skip them. Symbols or GeneIDs can also be written
+// to the stream, one per write (the CLI reads one per line from STDIN):
+//
+//     $ bionode-ncbi gene --organism 'Homo sapiens' < symbols.txt
+
+ncbi.gene = function (term, options, cb) {
+  insight.track('ncbi', 'gene')
+  cb = typeof options === 'function' ? options : cb
+  var opts = typeof term === 'string' || typeof term === 'number' ? { term: term } : term
+  if (typeof options === 'string') { opts.organism = options }
+  if (options && typeof options === 'object') { opts = Object.assign(opts, options) }
+  opts.db = 'gene'
+
+  var searchOpts = Object.assign({}, opts, { normalize: true })
+  delete searchOpts.term
+
+  var stream = pumpify.obj(
+    createGeneQuery(opts),
+    ncbi.search(searchOpts),
+    createGeneObj(opts)
+  )
+
+  if (opts.term) { stream.write(opts.term); stream.end() }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+function createGeneQuery (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    if (isHandle(obj)) {
+      this.push(obj)
+      return next()
+    }
+    var term = String(obj).trim()
+    if (term === '') { return next() }
+    if (/^\d+(\s*,\s*\d+)*$/.test(term)) {
+      this.push(anyOf('uid', term.split(/\s*,\s*/)))
+      return next()
+    }
+    var q = ncbi.query().field('sym', term)
+    if (opts.organism) { q.and().field('Organism', opts.organism) }
+    this.push(q.and().field('prop', 'alive'))
+    next()
+  }
+}
+
+function createGeneObj (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (doc, enc, next) {
+    var self = this
+    var record = gene.fromSummary(doc)
+    if (opts.products === false) {
+      self.push(record)
+      return next()
+    }
+    async.series({
+      rnas: refseqAccessions('gene_nuccore_refseqrna', 'nuccore'),
+      proteins: refseqAccessions('gene_protein_refseq', 'protein')
+    }, function (err, products) {
+      if (err) {
+        self.emit('error', err)
+        return next()
+      }
+      self.push(Object.assign(record, products))
+      next()
+    })
+
+    function refseqAccessions (linkname, db) {
+      return function (cb) {
+        linkedUIDs(record.geneId, db, linkname, opts, function (err, uids) {
+          if (err) { return cb(err) }
+          accessions(db, uids, opts, cb)
+        })
+      }
+    }
+  }
+}
+
+function linkedUIDs (uid, db, linkname, opts, cb) {
+  var uids = []
+  var link = ncbi.link(Object.assign({}, opts, {
+    srcDB: 'gene', destDB: db, srcUID: String(uid), linkname: linkname, cmd: undefined, emit: undefined
+  }))
+  link.on('data', function (obj) { uids = uids.concat(obj.destUIDs) })
+  link.on('error', cb)
+  link.on('end', function () { cb(null, uids) })
+}
+
+// Takes nuccore or protein UIDs and returns their accession.version, LINKMAX at a time
+function accessions (db, uids, opts, cb) {
+  var batches = []
+  for (var i = 0; i < uids.length; i += LINKMAX) { batches.push(uids.slice(i, i + LINKMAX)) }
+  async.mapSeries(batches, function (batch, cb) {
+    var url = APIROOT + 'esummary.fcgi?&' + DEFAULTS + '&db=' + db + '&id=' + batch.join(',')
+    eutilsBody(url, opts, function (err, body) {
+      if (err) { return cb(err) }
+      var result = (body && body.result) || {}
+      cb(null, (result.uids || []).map(function (uid) {
+        return result[uid].accessionversion
+      }).filter(Boolean))
+    })
+  }, function (err, results) {
+    if (err) { return cb(err) }
+    cb(null, [].concat.apply([], results))
+  })
+}
+
+// ## Cite
+// Takes pubmed (default) or pmc and a search term, and returns a stream of citations of
+// the articles found in BibTeX (default), RIS or CSL-JSON `style`. BibTeX and RIS citations
+// are strings and CSL-JSON citations are objects:
+//
+//     ncbi.cite({ db: 'pubmed', term: '22751099', style: 'bibtex' })
+//     => '@article{pmid22751099,\n  author = {Wurm, Yannick and [...]},\n  title = {{The genome of [...]}},\n [...]}\n'
+//
+// Terms that are UIDs (or comma separated lists of them) are looked up directly. The stream
+// also takes the handles emitted by **Post** and the objects emitted by **Link**, citing
+// their destination UIDs (lists of more than 200 are uploaded with **Post** first), e.g. the
+// papers about some SRA experiments:
+//
+//     ncbi.link('sra', 'pubmed', '35533').pipe(ncbi.cite('pubmed')).pipe(process.stdout)
+
+ncbi.cite = function (db, term, cb) {
+  insight.track('ncbi', 'cite')
+  cb = typeof term === 'function' ? term : cb
+  var opts = typeof db === 'string' ? { db: db, term: typeof term === 'function' ? undefined : term } : db
+  opts.db = opts.db || 'pubmed'
+  opts.style = opts.style || 'bibtex'
+
+  checkDb(opts.db)
+  if (ARTICLEDBS.indexOf(opts.db) < 0) {
+    throw new Error('Only articles from ' + ARTICLEDBS.join(' or ') + ' can be cited, not ' + opts.db)
+  }
+  if (citations.styles.indexOf(opts.style) < 0) {
+    throw new Error('The citation style "' + opts.style + '" is not supported, use ' + citations.styles.join(', '))
+  }
+
+  var fetchOpts = Object.assign({}, opts, { normalize: true })
+  ;['term', 'style', 'rettype', 'retmode'].forEach(function (key) { delete fetchOpts[key] })
+
+  var stream = pumpify.obj(
+    createArticleQuery(opts),
+    ncbi.fetch(fetchOpts),
+    createCitation(opts.style)
+  )
+
+  if (opts.term) { stream.write(opts.term); stream.end() }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+// Turns UIDs and Link results into queries (or History server handles for long lists),
+// and passes other terms and handles on
+function createArticleQuery (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    if (isHandle(obj)) {
+      this.push(obj)
+      return next()
+    }
+    var ids
+    if (obj !== null && typeof obj === 'object' && obj.srcDB !== undefined) {
+      if (obj.destDB !== opts.db) {
+        this.emit('error', new Error('Links to ' + obj.destDB + ' cannot be cited from ' + opts.db))
+        return next()
+      }
+      ids = obj.destUIDs || (obj.destUID ? [obj.destUID] : [])
+    } else if (Array.isArray(obj)) {
+      ids = obj
+    } else if (/^\s*(PMC)?\d+(\s*,\s*(PMC)?\d+)*\s*$/i.test(obj)) {
+      ids = String(obj).split(',')
+    } else {
+      this.push(obj)
+      return next()
+    }
+    ids = ids.map(function (id) { return String(id).trim().replace(/^PMC/i, '') })
+    if (ids.length > TERMMAX) { return postIDs(this, ids, next) }
+    if (ids.length > 0) { this.push(anyOf('uid', ids)) }
+    next()
+  }
+
+  function postIDs (self, ids, next) {
+    var done = false
+    var post = ncbi.post(Object.assign({}, opts, { term: undefined, ids: ids }))
+    post.on('data', function (handle) { self.push(handle) })
+    post.on('error', function (err) { finish(err) })
+    post.on('end', function () { finish() })
+
+    function finish (err) {
+      if (done) { return }
+      done = true
+      if (err) { self.emit('error', err) }
+      next()
+    }
+  }
+}
+
+function createCitation (style) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (article, enc, next) {
+    this.push(citations.format(article, style))
+    next()
+  }
+}
+
+// ## Info
+// Takes a database name and returns a stream with its einfo record: searchable fields,
+// links to other databases, number of records and last update:
+//
+//     ncbi.info('sra').on('data', console.log)
+//     => { db: 'sra', menuName: 'SRA', description: 'SRA Database', build: 'Build240207-1740.1',
+//          count: 31446787, lastUpdate: '2024-02-08T04:01:00',
+//          fields: [{ name: 'ALL', fullName: 'All Fields', termCount: 177213387, isDate: false, [...] }, [...]],
+//          links: [{ name: 'sra_bioproject', menu: 'BioProject Links', dbTo: 'bioproject', [...] }, [...]] }
+//
+// Without a database it returns every database einfo lists, checked against the static list
+// in `lib/valid-dbs.js`. Databases NCBI has retired are `current: false` and new ones `known: false`:
+//
+//     ncbi.info().on('data', console.log)
+//     => { db: 'pubmed', name: 'PubMed', current: true, known: true }
+//     => [...]
+//     => { db: 'unigene', name: 'UniGene', current: false, known: true }
+//
+// With `refreshDbs: true` the valid databases of every method become the ones einfo lists,
+// for the rest of the process:
+//
+//     ncbi.info({ refreshDbs: true }, function (dbs) { ncbi.search('newdb', 'human') })
+//
+//     $ bionode-ncbi info sra --pretty
+//     $ bionode-ncbi info --format tsv
+
+ncbi.info = function (db, cb) {
+  insight.track('ncbi', 'info')
+  cb = typeof db === 'function' ? db : cb
+  var opts = typeof db === 'string' ? { db: db } : typeof db === 'object' && db !== null ? db : {}
+  if (opts.db) { checkDb(opts.db) }
+
+  var stream = pumpify.obj(
+    createAPIInfoURL(),
+    requestStream(false, opts),
+    createInfoObj(opts)
+  )
+
+  stream.write(opts.db || '')
+  stream.end()
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+function createAPIInfoURL () {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (db, enc, next) {
+    var url = APIROOT + 'einfo.fcgi?&' + DEFAULTS
+    next(null, db ? url + '&db=' + encodeURIComponent(db) : url)
+  }
+}
+
+function createInfoObj (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (body, enc, next) {
+    var self = this
+    if (opts.db) {
+      var record = einfo.database(body)
+      if (!record) { return next(infoError(body)) }
+      return next(null, record)
+    }
+    var names = einfo.databases(body)
+    if (!names) { return next(infoError(body)) }
+    var dbs = einfo.compare(names, validDbs.dbs)
+    if (opts.refreshDbs) {
+      var changes = validDbs.update(names)
+      debug('valid databases refreshed', changes)
+    }
+    dbs.forEach(function (db) { self.push(db) })
+    next()
+  }
+
+  function infoError (body) {
+    var reported = body && body.einforesult && body.einforesult.ERROR
+    return new QueryError('NCBI did not return database information: ' +
+      (reported || JSON.stringify(body)))
+  }
+}
+
+// ## Spell
+// Takes a database name and a search term, and returns a stream with the spelling
+// suggestion of espell for it. Terms can also be written to the stream:
+//
+//     ncbi.spell('pubmed', 'fire ants genmoe').on('data', console.log)
+//     => { db: 'pubmed', term: 'fire ants genmoe', corrected: 'fire ants genome', replaced: ['genome'] }
+//
+// When there is nothing to correct, `corrected` is the term and `replaced` is empty.
+//
+//     $ bionode-ncbi spell pubmed fire ants genmoe
+
+ncbi.spell = function (db, term, cb) {
+  insight.track('ncbi', 'spell')
+  cb = typeof term === 'function' ? term : cb
+  var opts = typeof db === 'string' ? { db: db, term: typeof term === 'function' ? undefined : term } : db
+
+  checkDb(opts.db)
+
+  var stream = pumpify.obj(
+    createAPISpellURL(opts),
+    requestStream(true, opts),
+    createSpellObj(opts)
+  )
+
+  if (opts.term) { stream.write(opts.term); stream.end() }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+function createAPISpellURL (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (term, enc, next) {
+    next(null, APIROOT + 'espell.fcgi?&db=' + opts.db + '&term=' + encodeURIComponent(term))
+  }
+}
+
+// espell only answers in XML
+function createSpellObj (opts) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    var result
+    try {
+      result = xmlRecords.parse(String(obj.body), 'eSpellResult')[0]
+    } catch (err) {
+      return next(err)
+    }
+    var term = querystring.parse(URL.parse(obj.url).query).term
+    var reported = result && text(result.ERROR)
+    if (!result || reported) {
+      return next(new QueryError(`NCBI could not check the spelling: ${reported || obj.body}
+This is what failed: ${obj.url}`, { url: obj.url }))
+    }
+    var spelled = (result.SpelledQuery || [])[0] || {}
+    next(null, {
+      db: opts.db,
+      term: term,
+      corrected: text(result.CorrectedQuery) || term,
+      replaced: ids(spelled.Replaced)
+    })
+  }
+}
+
+// ## Count
+// Takes a search term and returns a stream with the number of records matching it in every
+// database, from the egquery global query. Terms can also be written to the stream:
+//
+//     ncbi.count('solenopsis invicta').on('data', console.log)
+//     => { term: 'solenopsis invicta', db: 'pubmed', menuName: 'PubMed', count: 641, status: 'Ok' }
+//     => { term: 'solenopsis invicta', db: 'pmc', menuName: 'PubMed Central', count: 2393, status: 'Ok' }
+//     => [...]
+//
+//     $ bionode-ncbi count solenopsis invicta --format tsv
+
+ncbi.count = function (term, cb) {
+  insight.track('ncbi', 'count')
+  cb = typeof term === 'function' ? term : cb
+  var opts = typeof term === 'string' ? { term: term } : typeof term === 'object' && term !== null ? term : {}
+
+  var stream = pumpify.obj(
+    createAPICountURL(),
+    requestStream(true, opts),
+    createCountObj()
+  )
+
+  if (opts.term) { stream.write(opts.term); stream.end() }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+function createAPICountURL () {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (term, enc, next) {
+    next(null, APIROOT + 'egquery.fcgi?&retmode=xml&term=' + encodeURIComponent(term))
+  }
+}
+
+function createCountObj () {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    var self = this
+    var items
+    try {
+      items = xmlRecords.parse(String(obj.body), 'ResultItem')
+    } catch (err) {
+      return next(err)
+    }
+    var term = querystring.parse(URL.parse(obj.url).query).term
+    items.forEach(function (item) {
+      var count = toNumber(text(item.Count))
+      self.push({
+        term: term,
+        db: text(item.DbName),
+        menuName: text(item.MenuName),
+        count: typeof count === 'number' ? count : null,
+        status: text(item.Status)
+      })
+    })
+    next()
+  }
+}
+
 // ## Fetch
 // Allows retrieval of records from NCBI databases. Takes the database name and a search term,
 // and returns the records from the database that match the search term. There are optional
@@ -666,9 +2425,64 @@ ncbi.expand = function (property, destProperty) {
 //         { id: 'gi|557436391|gb|HE992974.1|HE992974:1-50 HE992974 Guillardia theta CCMP 327 Guillardia theta cDNA clone sg-p_014_h05, mRNA sequence',
 //           seq: 'GTCGCGGTTGGCATGGCTGAGGAGAATCCGATCCCTCGGCTAGACGCCTG' }
 //      => [...]
+//
+// The efetch parameters sent are `rettype`, `retmode`, `seq_start`, `seq_stop`, `strand`,
+// `complexity`, `idtype` and `extrafeat`. Other options are not passed on to NCBI.
+//
+// Like **Search**, it also accepts the handles emitted by **Post** instead of a term.
+//
+// XML results are parsed one whole response at a time, which for large SRA or PubMed
+// fetches means holding a big document in memory. With `streaming: true` the response is
+// parsed as it arrives and each record element (e.g. every `EXPERIMENT_PACKAGE` or
+// `PubmedArticle`) is emitted as soon as it is complete. The record element has a default
+// for common databases and can be set with `recordElement`:
+//
+//      ncbi.fetch({ db: 'sra', term: 'solenopsis', streaming: true })
+//      => {"$":{"xmlns":""},"EXPERIMENT":[{"$":{"alias":"Me","accession":"SRX757228", [...]
+//      => [...]
+//
+//      ncbi.fetch({ db: 'nuccore', term: 'NC_000913', rettype: 'gb', retmode: 'xml', streaming: true, recordElement: 'GBSeq' })
+//
+// Streamed responses are not cached.
+//
+// With `raw: true` the stream emits the bytes of the efetch responses as they arrive,
+// for any rettype and retmode, without parsing or buffering them. Raw responses are not
+// cached either:
+//
+//      ncbi.fetch({ db: 'nuccore', term: 'NC_001422', rettype: 'gb', raw: true })
+//      .pipe(fs.createWriteStream('NC_001422.gb'))
+//
 // For some databases there are multiple return types. A default one will be chosen
 // automatically, however it is possible to specify this via the rettype option.
 //
+// GenBank (`rettype: 'gb'` for nuccore) and GenPept (`rettype: 'gp'` for protein) flat files
+// are parsed into one object per entry:
+//
+//      ncbi.fetch({ db: 'nuccore', term: 'NC_001422', rettype: 'gb' })
+//      => { locus: { name: 'NC_001422', length: 5386, unit: 'bp', moleculeType: 'DNA', topology: 'circular', [...] },
+//           definition: 'Escherichia phage phiX174, complete genome.',
+//           accession: 'NC_001422', version: 'NC_001422.1',
+//           organism: 'Escherichia phage phiX174', lineage: ['Viruses', 'Monodnaviria', [...]],
+//           references: [{ number: 1, range: 'bases 1 to 5386', authors: 'Sanger,F., [...]', title: [...] }],
+//           features: [{ type: 'CDS', location: 'join(3981..5386,1..136)',
+//                        ranges: [{ start: 3981, end: 5386, strand: 1, [...] }, [...]],
+//                        qualifiers: { gene: ['A'], codon_start: [1], translation: ['MVRSYYPSECHADYF[...]'] } }, [...]],
+//           sequence: 'gagttttatcgcttccatgacgcagaagttaacactttcggatatttctgatgagtcgaaaaattatcttgataaagcaggaa[...]' }
+//
+// Qualifier values are always arrays, because some (e.g. db_xref) can repeat.
+//
+// With `normalize: true`, pubmed and pmc results are turned into article records
+// (see **Cite** for turning them into citations):
+//
+//      ncbi.fetch({ db: 'pubmed', term: '22751099', normalize: true })
+//      => { pmid: '22751099', pmcid: 'PMC3449000', doi: '10.1371/journal.pone.0039469',
+//           title: 'The genome of the fire ant Solenopsis invicta.',
+//           authors: [{ family: 'Wurm', given: 'Yannick' }, [...]],
+//           journal: 'PloS one', journalAbbreviation: 'PLoS One', volume: '7', issue: '6',
+//           pages: 'e39469', year: 2012, abstract: 'Fire ants are [...]', mesh: ['Animals', 'Ants', [...]] }
+//
+// Normalized articles are always parsed from whole responses, even with `streaming`.
+//
 // The NCBI website provides a list of databasese supported by efetch here:
 // http://www.ncbi.nlm.nih.gov/books/NBK25497/table/chapter2.T._entrez_unique_identifiers_ui/?report=objectonly
 
@@ -676,6 +2490,7 @@ ncbi.fetch = function (db, term, cb) {
   insight.track('ncbi', 'fetch')
   var opts = typeof db === 'string' ? { db: db, term: term } : db
   cb = typeof term === 'function' ? term : cb
+  checkDb(opts.db)
 
   var rettypes = {
     bioproject: 'xml',
@@ -708,64 +2523,66 @@ ncbi.fetch = function (db, term, cb) {
   }
 
   opts.rettype = opts.rettype || rettypes[opts.db]
-  opts.retmode = retmodes[opts.rettype] || 'text'
+  opts.retmode = opts.retmode || retmodes[opts.rettype] || 'text'
 
-  var stream = pumpify.obj(
-      createAPISearchUrl(opts.db, opts.term),
-      requestStream(true),
-      createAPIPaginateURL(opts),
-      requestStream(true),
-      createAPIFetchUrl(opts, stringifyExtras(opts)),
-      parseResult(opts.retmode)
-  )
+  if (opts.streaming && !opts.raw) {
+    opts.recordElement = opts.recordElement || RECORDELEMENTS[opts.db]
+    if (opts.retmode !== 'xml') {
+      throw new Error(`Streaming needs XML results, but ${opts.db} with rettype ${opts.rettype} returns ${opts.retmode}`)
+    }
+    if (!opts.recordElement) {
+      throw new Error(`No default record element for ${opts.db}, pass one with recordElement`)
+    }
+  }
+
+  var stream = opts.count || opts.dryRun
+    ? pumpify.obj(
+      createAPISearchUrl(opts),
+      requestStream(true, opts),
+      createSearchPlan(opts, 'efetch', stringifyExtras(opts))
+    )
+    : pumpify.obj(
+      createAPISearchUrl(opts),
+      requestStream(true, opts),
+      createAPIPaginateURL(opts, 'efetch', stringifyExtras(opts)),
+      fetchResults(opts)
+    )
 
   if (opts.term) { stream.write(opts.term); stream.end() }
   if (cb) { stream.pipe(concat(cb)) } else { return stream }
 }
 
-function stringifyExtras (opts) {
-  var extraOptsLine = ''
-
-  for (var k in opts) {
-    if ((k !== 'term') && (k !== 'db')) {
-      extraOptsLine += k + '=' + opts[k] + '&'
-    }
-  }
-
-  return extraOptsLine.slice(0, -1)
+function fetchResults (opts) {
+  var format = resultFormat(opts)
+  if (opts.raw) { return streamRaw(opts) }
+  if (opts.streaming && format !== 'articles') { return streamRecords(opts) }
+  return parseResult(format, opts)
 }
 
-function createAPIFetchUrl (opts, extraOpts) {
-  var stream = through.obj(transform)
-  return stream
+// GenBank and GenPept flat files are text, but have their own parser, and so do
+// normalized pubmed and pmc articles
+function resultFormat (opts) {
+  var flatfile = GENBANKTYPES.indexOf(opts.rettype) !== -1 && opts.retmode === 'text'
+  var normalized = opts.normalize && ARTICLEDBS.indexOf(opts.db) !== -1 && opts.retmode === 'xml'
+  if (flatfile) { return 'genbank' }
+  return normalized ? 'articles' : opts.retmode
+}
 
-  function transform (obj, enc, next) {
-    var idsChunkLen = 50
-    var idlist = obj.body.esearchresult.idlist
-    if (!idlist || idlist.length === 0) { return next() }
-    for (var i = 0; i < idlist.length; i += idsChunkLen) {
-      var idsChunk = idlist.slice(i, i + idsChunkLen)
-      var urlQuery = URL.parse(obj.url, true).query
-      var query = [
-        APIROOT + 'efetch.fcgi?',
-        'version=2.0',
-        'db=' + urlQuery.db,
-        'id=' + idsChunk.join(','),
-        extraOpts,
-        'userhistory=y'
-      ].join('&')
-      debug('efetch request', query)
-      this.push(query)
-    }
-    next()
-  }
+// Only efetch parameters are sent, so options of other commands (e.g. the whole argv of
+// the CLI) never end up in the URL. Unset values and yargs booleans are left out.
+function stringifyExtras (opts) {
+  return EFETCHPARAMS.filter(function (param) {
+    return opts[param] !== undefined && typeof opts[param] !== 'boolean'
+  }).map(function (param) {
+    return param + '=' + encodeURIComponent(opts[param])
+  }).join('&')
 }
 
-function parseResult (resFmt) {
+function parseResult (resFmt, opts) {
   var lastStream = (resFmt === 'fasta') ? fasta.obj : through.obj
 
   var stream = pumpify.obj(
-      requestStream('true'),
+      requestStream(true, opts),
       preProcess(),
       lastStream()
   )
@@ -787,6 +2604,14 @@ function parseResult (resFmt) {
       } else if (resFmt === 'fasta') {
         self.push(chunk.body)
         cb()
+      } else if (resFmt === 'genbank') {
+        genbank.parse(chunk.body).forEach(function (record) { self.push(record) })
+        cb()
+      } else if (resFmt === 'articles') {
+        try {
+          articles.parse(chunk.body, opts.db).forEach(function (article) { self.push(article) })
+        } catch (err) { self.emit('error', err) }
+        cb()
       } else {
         self.push({result: chunk.body})
         cb()
@@ -794,3 +2619,251 @@ function parseResult (resFmt) {
     }
   }
 }
+
+// Requests each efetch URL and pipes the response through a SAX parser, so records
+// are emitted while the response is still downloading.
+function streamRecords (opts) {
+  return streamResponses(opts, function (res) {
+    return res.pipe(xmlRecords.createStream(opts.recordElement))
+  })
+}
+
+// Emits the bytes of each efetch response as they arrive, without parsing them.
+function streamRaw (opts) {
+  return streamResponses(opts, function (res) { return res })
+}
+
+// Requests each URL and emits the data of the stream `parse` makes out of the response.
+// Retries the same way as requestStream, but only until the first byte of a successful response.
+function streamResponses (opts, parse) {
+  var policy = retryPolicy(opts)
+  // The records of each response are piped into the output, which pauses the response
+  // while the consumer is behind. The output ends with the URLs.
+  var output = through.obj()
+  return pumpify.obj(through.obj(transform), output)
+
+  function transform (url, enc, next) {
+    var self = this
+    var attempts = 0
+    var started = false
+    var done = false
+
+    if (opts.offline === true) {
+      self.emit('error', new CacheMissError(
+        `Offline mode and streamed responses are never cached:
+${url}`, { url: url })
+      )
+      return next()
+    }
+    get()
+
+    function get () {
+      attempts++
+      scheduler.schedule(function () {
+        request({
+          uri: scheduler.authorize(url, opts),
+          timeout: policy.timeout,
+          withCredentials: false
+        })
+        .on('error', function (err) { failed(err) })
+        .on('response', gotResponse)
+      }, opts)
+    }
+
+    function gotResponse (res) {
+      var statusCode = res.statusCode
+      if (statusCode !== 200) {
+        res.resume()
+        return failed(null, res)
+      }
+      debug('request response', statusCode)
+      started = true
+      parse(res)
+      .on('error', function (err) { finish(err) })
+      .on('end', function () { finish() })
+      .pipe(output, { end: false })
+    }
+
+    function failed (err, res) {
+      var statusCode = res ? res.statusCode : undefined
+      var details = { url: url, statusCode: statusCode, attempts: attempts }
+      if (done) { return }
+      if (started) {
+        return finish(new RequestFailedError(
+          `Connection lost while streaming the response, maybe a network issue?
+This is what failed: ${url}`, details)
+        )
+      }
+      if (res && statusCode !== 429 && statusCode < 500) {
+        return finish(new QueryError(
+          `NCBI rejected the query: HTTP ${statusCode}
+This is what failed: ${url}`, details)
+        )
+      }
+      if (attempts > policy.maxRetries) {
+        return finish(new RequestFailedError(
+          `Query failed after ${attempts} tries, maybe a network issue or NCBI is down?
+This is what failed: ${url}`, details)
+        )
+      }
+      var delay = retryDelay(policy, attempts, res)
+      debug('request failed', statusCode || (err && err.code), 'retrying in ' + delay + 'ms', url)
+      setTimeout(get, delay)
+    }
+
+    function finish (err) {
+      if (done) { return }
+      done = true
+      if (err) { self.emit('error', err) }
+      next()
+    }
+  }
+}
+
+// ## Sequence
+// Takes a database with sequences (nuccore by default, or protein, nucest and nucgss), an
+// accession and optional ranges, and returns a stream of FASTA records for each range,
+// requested straight from efetch without a search. Coordinates are 1-based and inclusive
+// like on the NCBI website, `strand` is 1 (or `+`) or -1 (or `-`), and the id of each
+// record starts with the region it covers:
+//
+//     ncbi.sequence({ db: 'nuccore', id: 'NC_000913.3', ranges: [{ start: 1, stop: 50, strand: -1 }] })
+//     => { id: 'NC_000913.3:1-50(-) Escherichia coli str. K-12 substr. MG1655, complete genome',
+//          seq: 'CTGGAAATAATACACCTATGACCCTCATGCTGAGAAAAATGCTGTCGCTT' }
+//
+// Without ranges the whole sequence is returned. The stream also takes regions written to
+// it, either as objects (`{ id, start, stop, strand }`) or as BED lines (tab separated
+// accession, 0-based start, end, name, score and strand), which is how the CLI reads them:
+//
+//     $ printf 'NC_000913.3\t0\t50\tthrL\t0\t+\n' | bionode-ncbi sequence nuccore
+
+ncbi.sequence = function (db, id, cb) {
+  insight.track('ncbi', 'sequence')
+  cb = typeof id === 'function' ? id : cb
+  var opts = typeof db === 'string' ? { db: db, id: typeof id === 'function' ? undefined : id } : db
+  opts.db = opts.db || 'nuccore'
+
+  if (SEQUENCEDBS.indexOf(opts.db) < 0) {
+    throw new Error('The database "' + opts.db + '" has no sequences, use one of ' + SEQUENCEDBS.join(', '))
+  }
+
+  // Check the regions given up front, so mistakes throw before any request
+  var regions = []
+  if (opts.id) {
+    regions = (opts.ranges || [{}]).map(function (range) {
+      return sequenceRegion(Object.assign({ id: opts.id }, range))
+    })
+  }
+
+  var stream = pumpify.obj(
+    createAPISequenceURL(opts.db),
+    requestStream(true, opts),
+    createSequenceObj()
+  )
+
+  if (opts.id) {
+    regions.forEach(function (region) { stream.write(region) })
+    stream.end()
+  }
+  if (cb) { stream.pipe(concat(cb)) } else { return stream }
+}
+
+// Takes regions (objects or BED lines) and returns efetch URLs
+function createAPISequenceURL (db) {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    var region
+    try {
+      if (typeof obj !== 'string') {
+        region = sequenceRegion(obj)
+      } else if (!/^\s*$|^(#|track\b|browser\b)/.test(obj)) {
+        region = sequenceRegion(parseBED(obj))
+      }
+    } catch (err) {
+      this.emit('error', err)
+      return next()
+    }
+    if (!region) { return next() }
+    var params = [
+      APIROOT + 'efetch.fcgi?',
+      'version=2.0',
+      'db=' + db,
+      'id=' + encodeURIComponent(region.id),
+      'rettype=fasta',
+      'retmode=text'
+    ]
+    if (region.start !== undefined) {
+      params.push('seq_start=' + region.start, 'seq_stop=' + region.stop)
+    }
+    // efetch calls the minus strand 2
+    params.push('strand=' + (region.strand === -1 ? 2 : 1))
+    var url = params.join('&')
+    debug('efetch request', url)
+    this.push(url)
+    next()
+  }
+}
+
+// Checks a region and returns it with numbers for the coordinates and strand
+function sequenceRegion (obj) {
+  var region = { id: obj.id }
+  if (typeof region.id !== 'string' || region.id.trim() === '') {
+    throw new Error('Sequence regions need an accession as id, got ' + JSON.stringify(obj))
+  }
+  region.id = region.id.trim()
+
+  var strand = obj.strand === undefined || obj.strand === null || obj.strand === '' ? 1 : obj.strand
+  region.strand = { '1': 1, '+': 1, '-1': -1, '-': -1 }[String(strand)]
+  if (region.strand === undefined) {
+    throw new Error('The strand of ' + region.id + ' should be 1, +, -1 or -, got ' + strand)
+  }
+
+  if (obj.start === undefined && obj.stop === undefined) { return region }
+  region.start = Number(obj.start)
+  region.stop = Number(obj.stop)
+  var valid = [region.start, region.stop].every(function (n) { return Number.isInteger(n) && n > 0 })
+  if (!valid || region.start > region.stop) {
+    throw new Error('The region of ' + region.id + ' should have 1-based start and stop with start <= stop, got ' +
+      obj.start + '-' + obj.stop)
+  }
+  return region
+}
+
+// BED starts are 0-based and ends exclusive, so only the start moves
+function parseBED (line) {
+  var columns = line.split('\t')
+  if (columns.length < 3) {
+    throw new Error('BED lines need at least an accession, start and end, got ' + JSON.stringify(line))
+  }
+  var start = /^\d+$/.test(columns[1]) ? parseInt(columns[1], 10) + 1 : columns[1]
+  return { id: columns[0], start: start, stop: columns[2], strand: columns[5] === '.' ? undefined : columns[5] }
+}
+
+function createSequenceObj () {
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    var params = URL.parse(obj.url, true).query
+    var lines = String(obj.body).trim().split(/\r?\n/)
+    if (lines[0][0] !== '>') {
+      this.emit('error', new QueryError(
+        `NCBI did not return a sequence: ${lines[0]}
+This is what failed: ${obj.url}`, { url: obj.url })
+      )
+      return next()
+    }
+    // Swap the accession NCBI puts in the header for one with the region
+    var description = lines[0].slice(1).replace(/^\S+\s*/, '')
+    var name = params.id
+    if (params.seq_start) { name += ':' + params.seq_start + '-' + params.seq_stop }
+    if (params.seq_start || params.strand === '2') { name += params.strand === '2' ? '(-)' : '(+)' }
+    this.push({
+      id: description ? name + ' ' + description : name,
+      seq: lines.slice(1).join('').replace(/\s+/g, '')
+    })
+    next()
+  }
+}
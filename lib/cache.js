@@ -0,0 +1,109 @@
+// On-disk cache for E-utilities responses.
+// Each response is stored under the SHA-256 of its normalized request
+// (endpoint plus sorted query parameters, without credentials), so the same
+// search run twice only hits NCBI once. Entries expire after `cacheTTL` seconds
+// (a negative TTL keeps them forever). Responses with a History server WebEnv
+// expire sooner, as NCBI drops those sessions after a while.
+
+var fs = require('fs')
+var path = require('path')
+var crypto = require('crypto')
+var URL = require('url')
+var mkdirp = require('mkdirp')
+var debug = require('debug')('bionode-ncbi')
+
+var env = typeof process !== 'undefined' && process.env ? process.env : {}
+
+var DEFAULTTTL = 24 * 60 * 60
+// Kept shorter than NCBI keeps History server sessions, so a cached WebEnv
+// is never sent to esummary or efetch after it expired
+var HISTORYTTL = 30 * 60
+var IGNOREDPARAMS = ['', 'api_key', 'tool', 'email']
+
+var stats = { hits: 0, misses: 0, expired: 0, writes: 0 }
+
+// Takes the stream options and returns a cache store, or null when caching
+// is off. `cacheDir` (or NCBI_CACHE_DIR) turns it on and `cache: false` turns it off.
+function create (opts) {
+  opts = opts || {}
+  var dir = opts.cacheDir || env.NCBI_CACHE_DIR
+  if (!dir || opts.cache === false) { return null }
+  var ttl = opts.cacheTTL !== undefined ? opts.cacheTTL : DEFAULTTTL
+
+  return {
+    dir: dir,
+    offline: opts.offline === true,
+    get: get,
+    set: set
+  }
+
+  function get (url, cb) {
+    var file = entryPath(dir, url)
+    fs.readFile(file, 'utf8', function (err, data) {
+      if (err) { return miss() }
+      var entry
+      try { entry = JSON.parse(data) } catch (e) { return miss() }
+      var age = (Date.now() - entry.createdAt) / 1000
+      var maxAge = entry.history && (ttl < 0 || ttl > HISTORYTTL) ? HISTORYTTL : ttl
+      if (maxAge >= 0 && age > maxAge) {
+        stats.expired++
+        return miss()
+      }
+      stats.hits++
+      debug('cache hit', url, stats)
+      cb(null, entry.body)
+    })
+
+    function miss () {
+      stats.misses++
+      debug('cache miss', url, stats)
+      cb(null, undefined)
+    }
+  }
+
+  function set (url, body, cb) {
+    var file = entryPath(dir, url)
+    var entry = { url: normalize(url), createdAt: Date.now(), body: body }
+    if (hasHistory(body)) { entry.history = true }
+    mkdirp(path.dirname(file), function (err) {
+      if (err) { return cb(err) }
+      var tmp = file + '.' + process.pid + '.tmp'
+      fs.writeFile(tmp, JSON.stringify(entry), function (err) {
+        if (err) { return cb(err) }
+        fs.rename(tmp, file, function (err) {
+          if (err) { return cb(err) }
+          stats.writes++
+          debug('cache write', url, stats)
+          cb()
+        })
+      })
+    })
+  }
+}
+
+// Reduces a request URL to its endpoint and sorted parameters, dropping the
+// host (http, https or proxy) and the credentials added by the scheduler.
+function normalize (url) {
+  var parsed = URL.parse(url, true)
+  var query = parsed.query
+  var endpoint = parsed.pathname.split('/').pop()
+  var params = Object.keys(query)
+    .filter(function (key) { return IGNOREDPARAMS.indexOf(key) === -1 })
+    .sort()
+    .map(function (key) { return key + '=' + [].concat(query[key]).join(',') })
+  return endpoint + '?' + params.join('&')
+}
+
+// esearch with usehistory=y answers with a WebEnv
+function hasHistory (body) {
+  return Boolean(body && body.esearchresult && body.esearchresult.webenv)
+}
+
+function entryPath (dir, url) {
+  var hash = crypto.createHash('sha256').update(normalize(url)).digest('hex')
+  return path.join(dir, hash.slice(0, 2), hash + '.json')
+}
+
+module.exports.create = create
+module.exports.normalize = normalize
+module.exports.stats = function () { return Object.assign({}, stats) }
@@ -0,0 +1,171 @@
+// Citations of the article records from ./articles in BibTeX, RIS and CSL-JSON.
+// BibTeX and RIS citations are strings, CSL-JSON citations are objects.
+
+var STYLES = {
+  bibtex: bibtex,
+  ris: ris,
+  csl: csl
+}
+
+function format (article, style) {
+  var formatter = STYLES[style]
+  if (!formatter) { throw new Error('Unknown citation style ' + style + ', use ' + Object.keys(STYLES).join(', ')) }
+  return formatter(article)
+}
+
+function bibtex (article) {
+  var fields = [
+    ['author', article.authors.map(bibtexName).join(' and ')],
+    // Double braces keep the capitalization of titles
+    ['title', article.title && '{' + escapeTeX(article.title) + '}'],
+    ['journal', escapeTeX(article.journal || article.journalAbbreviation)],
+    ['year', article.year],
+    ['volume', article.volume],
+    ['number', article.issue],
+    ['pages', pageRange(article.pages).join('--')],
+    ['doi', article.doi],
+    ['pmid', article.pmid],
+    ['pmcid', article.pmcid],
+    ['abstract', escapeTeX(article.abstract)]
+  ].filter(function (field) { return field[1] !== undefined && field[1] !== '' })
+  return '@article{' + citationKey(article) + ',\n' +
+    fields.map(function (field) { return '  ' + field[0] + ' = {' + field[1] + '}' }).join(',\n') +
+    '\n}\n'
+}
+
+function ris (article) {
+  var pages = pageRange(article.pages)
+  var lines = [['TY', 'JOUR']]
+    .concat(article.authors.map(function (author) { return ['AU', authorName(author)] }))
+    .concat([
+      ['TI', article.title],
+      ['T2', article.journal],
+      ['J2', article.journalAbbreviation],
+      ['PY', article.year],
+      ['VL', article.volume],
+      ['IS', article.issue],
+      ['SP', pages[0]],
+      ['EP', pages[1]],
+      ['DO', article.doi],
+      ['AN', article.pmid],
+      ['C2', article.pmcid],
+      ['AB', article.abstract && article.abstract.replace(/\n/g, ' ')]
+    ])
+    .concat((article.mesh || []).map(function (term) { return ['KW', term] }))
+    .filter(function (line) { return line[1] !== undefined && line[1] !== '' })
+  return lines.map(function (line) { return line[0] + '  - ' + line[1] }).join('\n') + '\nER  - \n'
+}
+
+function csl (article) {
+  var item = {
+    id: citationKey(article),
+    type: 'article-journal',
+    title: article.title,
+    author: article.authors,
+    'container-title': article.journal,
+    'container-title-short': article.journalAbbreviation,
+    volume: article.volume,
+    issue: article.issue,
+    page: pageRange(article.pages).join('-') || undefined,
+    DOI: article.doi,
+    PMID: article.pmid,
+    PMCID: article.pmcid,
+    issued: article.year ? { 'date-parts': [[article.year]] } : undefined,
+    abstract: article.abstract,
+    keyword: article.mesh && article.mesh.length > 0 ? article.mesh.join(', ') : undefined
+  }
+  Object.keys(item).forEach(function (key) {
+    if (item[key] === undefined) { delete item[key] }
+  })
+  return item
+}
+
+function citationKey (article) {
+  if (article.pmid) { return 'pmid' + article.pmid }
+  if (article.pmcid) { return article.pmcid }
+  return (article.doi || 'article').replace(/[^\w.-]+/g, '_')
+}
+
+// Names of groups are braced so BibTeX doesn't split them into first and last names
+function bibtexName (author) {
+  if (author.literal) { return '{' + escapeTeX(author.literal) + '}' }
+  return escapeTeX(authorName(author))
+}
+
+function authorName (author) {
+  if (author.literal) { return author.literal }
+  return author.given ? author.family + ', ' + author.given : author.family
+}
+
+// MEDLINE shortens end pages, e.g. 123-30 for 123-130
+function pageRange (pages) {
+  if (!pages) { return [] }
+  var parts = String(pages).split('-')
+  var start = parts[0].trim()
+  var end = (parts[1] || '').trim()
+  if (/^\d+$/.test(start) && /^\d+$/.test(end) && end.length < start.length) {
+    end = start.slice(0, start.length - end.length) + end
+  }
+  return end ? [start, end] : [start]
+}
+
+// Accents of decomposed characters, as TeX commands
+var ACCENTS = {
+  '\u0300': '`',
+  '\u0301': "'",
+  '\u0302': '^',
+  '\u0303': '~',
+  '\u0304': '=',
+  '\u0306': 'u',
+  '\u0307': '.',
+  '\u0308': '"',
+  '\u030a': 'r',
+  '\u030b': 'H',
+  '\u030c': 'v',
+  '\u0327': 'c',
+  '\u0328': 'k'
+}
+
+// Letters without a decomposition
+var LETTERS = {
+  'ß': '\\ss',
+  'æ': '\\ae',
+  'Æ': '\\AE',
+  'œ': '\\oe',
+  'Œ': '\\OE',
+  'ø': '\\o',
+  'Ø': '\\O',
+  'ł': '\\l',
+  'Ł': '\\L',
+  'ı': '\\i'
+}
+
+var SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+}
+
+// Escapes TeX special characters and writes accented letters as braced TeX accents,
+// e.g. Müller as M{\"{u}}ller, which BibTeX sorts and abbreviates correctly
+function escapeTeX (value) {
+  if (value === undefined) { return undefined }
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\\{}&%$#_~^]/g, function (char) {
+      return SPECIALS[char] || '\\' + char
+    })
+    .replace(/([A-Za-z\u0131])([\u0300-\u036f]+)/g, function (match, letter, marks) {
+      return marks.split('').reduce(function (text, mark) {
+        return ACCENTS[mark] ? '{\\' + ACCENTS[mark] + '{' + text + '}}' : text + mark
+      }, letter === 'i' ? '\\i' : letter)
+    })
+    .replace(/[ßæÆœŒøØłŁı]/g, function (char) { return '{' + LETTERS[char] + '}' })
+    .normalize('NFC')
+}
+
+module.exports.format = format
+module.exports.bibtex = bibtex
+module.exports.ris = ris
+module.exports.csl = csl
+module.exports.styles = Object.keys(STYLES)
@@ -0,0 +1,82 @@
+// Database records from einfo JSON:
+//
+//     { db: 'sra', menuName: 'SRA', description: 'SRA Database', build: 'Build240207-1740.1',
+//       count: 31446787, lastUpdate: '2024-02-08T04:01:00',
+//       fields: [{ name: 'ALL', fullName: 'All Fields', description: 'All terms from all searchable fields',
+//                  termCount: 177213387, isDate: false, isNumerical: false, singleToken: false,
+//                  hierarchy: false, isHidden: false }, [...]],
+//       links: [{ name: 'sra_bioproject', menu: 'BioProject Links', description: 'Link to BioProject',
+//                 dbTo: 'bioproject' }, [...]] }
+
+var helpers = require('./schemas/helpers')
+var toNumber = helpers.toNumber
+var toDate = helpers.toDate
+var toArray = helpers.toArray
+
+// Takes an einfo response for one database and returns its record
+function database (body) {
+  var info = toArray(body && body.einforesult && body.einforesult.dbinfo)[0]
+  if (!info) { return null }
+  return {
+    db: info.dbname,
+    menuName: info.menuname,
+    description: info.description,
+    build: info.dbbuild,
+    count: toNumber(info.count),
+    lastUpdate: toDate(info.lastupdate),
+    fields: toArray(info.fieldlist).map(function (field) {
+      return {
+        name: field.name,
+        fullName: field.fullname,
+        description: field.description,
+        termCount: toNumber(field.termcount),
+        isDate: flag(field.isdate),
+        isNumerical: flag(field.isnumerical),
+        singleToken: flag(field.singletoken),
+        hierarchy: flag(field.hierarchy),
+        isHidden: flag(field.ishidden)
+      }
+    }),
+    links: toArray(info.linklist).map(function (link) {
+      return {
+        name: link.name,
+        menu: link.menu,
+        description: link.description,
+        dbTo: link.dbto
+      }
+    })
+  }
+}
+
+// Takes an einfo response without a database and returns the names of all of them
+function databases (body) {
+  var list = body && body.einforesult && body.einforesult.dblist
+  return list ? toArray(list) : null
+}
+
+// Compares the databases einfo lists with known ones (name -> menu name). Each database
+// is `current` when einfo lists it, and `known` when it's in the known ones.
+function compare (names, known) {
+  var current = names.map(function (name) {
+    return { db: name, name: known[name], current: true, known: known[name] !== undefined }
+  })
+  var retired = Object.keys(known).filter(function (name) {
+    // gquery is the global query, which einfo doesn't list
+    return name !== 'gquery' && names.indexOf(name) === -1
+  }).map(function (name) {
+    return { db: name, name: known[name], current: false, known: true }
+  })
+  return current.concat(retired).map(function (db) {
+    if (db.name === undefined) { delete db.name }
+    return db
+  })
+}
+
+// einfo flags are Y or N
+function flag (value) {
+  return value === 'Y'
+}
+
+module.exports.database = database
+module.exports.databases = databases
+module.exports.compare = compare
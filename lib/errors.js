@@ -0,0 +1,62 @@
+// Errors emitted by bionode-ncbi streams.
+// Both request errors carry the failing `url`, the HTTP `statusCode` (if NCBI
+// answered at all) and the number of `attempts` made, so callers can tell a
+// bad query apart from NCBI being unreachable.
+
+var InvalidDbError = require('./valid-dbs').InvalidDbError
+
+// NCBI answered but rejected the request, e.g. an invalid search term.
+// These are not retried.
+function QueryError (msg, details) {
+  details = details || {}
+  this.name = 'QueryError'
+  this.message = msg
+  this.url = details.url
+  this.statusCode = details.statusCode
+  this.attempts = details.attempts
+}
+
+QueryError.prototype = new Error('Invalid query')
+
+// NCBI could not be reached or kept failing (network errors, timeouts,
+// HTTP 429 or 5xx) until all retries were used.
+function RequestFailedError (msg, details) {
+  details = details || {}
+  this.name = 'RequestFailedError'
+  this.message = msg
+  this.url = details.url
+  this.statusCode = details.statusCode
+  this.attempts = details.attempts
+}
+
+RequestFailedError.prototype = new Error('Request failed')
+
+// Running with `offline: true` and the response is not in the cache.
+function CacheMissError (msg, details) {
+  details = details || {}
+  this.name = 'CacheMissError'
+  this.message = msg
+  this.url = details.url
+}
+
+CacheMissError.prototype = new Error('Not in cache')
+
+// A downloaded file doesn't match the md5 NCBI lists in md5checksums.txt,
+// even after downloading it again.
+function ChecksumError (msg, details) {
+  details = details || {}
+  this.name = 'ChecksumError'
+  this.message = msg
+  this.url = details.url
+  this.path = details.path
+  this.expected = details.expected
+  this.actual = details.actual
+}
+
+ChecksumError.prototype = new Error('Checksum mismatch')
+
+module.exports.InvalidDbError = InvalidDbError
+module.exports.QueryError = QueryError
+module.exports.RequestFailedError = RequestFailedError
+module.exports.CacheMissError = CacheMissError
+module.exports.ChecksumError = ChecksumError
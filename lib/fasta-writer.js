@@ -0,0 +1,35 @@
+// Writes the `{ id, seq }` objects fetch returns for FASTA results back as FASTA text,
+// for `fetch --format fasta` in the CLI.
+
+var through = require('through2')
+
+// NCBI wraps FASTA sequences at 70 characters
+var LINEWIDTH = 70
+
+// Takes the number of sequence characters per line (0 for no wrapping) and returns a
+// stream that takes sequence objects and emits FASTA text.
+function createStream (lineWidth) {
+  return through.obj(function (obj, enc, next) {
+    if (!obj || typeof obj.id !== 'string' || typeof obj.seq !== 'string') {
+      return next(new Error('FASTA output needs objects with id and seq, use it with fetch on sequence databases'))
+    }
+    next(null, format(obj, lineWidth))
+  })
+}
+
+function format (obj, lineWidth) {
+  lineWidth = lineWidth === undefined ? LINEWIDTH : lineWidth
+  return '>' + obj.id + '\n' + wrap(obj.seq, lineWidth) + '\n'
+}
+
+function wrap (seq, lineWidth) {
+  if (!(lineWidth > 0)) { return seq }
+  var lines = []
+  for (var i = 0; i < seq.length; i += lineWidth) {
+    lines.push(seq.slice(i, i + lineWidth))
+  }
+  return lines.join('\n')
+}
+
+module.exports.createStream = createStream
+module.exports.format = format
@@ -0,0 +1,256 @@
+// Parser for GenBank (nuccore, rettype gb) and GenPept (protein, rettype gp) flat files.
+// A response can hold many entries, each ending with a `//` line, and every entry
+// becomes one object with its header fields, references, features and sequence.
+
+// Column where the values of header fields and feature qualifiers start
+var HEADERWIDTH = 12
+var FEATUREWIDTH = 21
+
+// Takes the text of a flat file and returns an array of records.
+function parse (text) {
+  var records = []
+  var lines = []
+  String(text).split(/\r?\n/).forEach(function (line) {
+    if (line.trim() === '//') {
+      if (lines.length > 0) { records.push(parseRecord(lines)) }
+      lines = []
+    } else if (lines.length > 0 || line.trim() !== '') {
+      lines.push(line)
+    }
+  })
+  if (lines.some(function (line) { return /^LOCUS/.test(line) })) {
+    records.push(parseRecord(lines))
+  }
+  return records
+}
+
+function parseRecord (lines) {
+  var record = {
+    locus: {},
+    definition: '',
+    accession: '',
+    accessions: [],
+    version: '',
+    keywords: [],
+    source: '',
+    organism: '',
+    lineage: [],
+    references: [],
+    features: [],
+    sequence: ''
+  }
+  sections(lines).forEach(function (section) {
+    var parser = SECTIONS[section.name]
+    if (parser) { parser(record, section.lines) }
+  })
+  return record
+}
+
+// Groups lines by the keyword starting at column 0 (LOCUS, DEFINITION, FEATURES, ...).
+function sections (lines) {
+  var result = []
+  lines.forEach(function (line) {
+    var match = line.match(/^([A-Z][A-Z_]*)(\s|$)/)
+    if (match) {
+      result.push({ name: match[1], lines: [line] })
+    } else if (result.length > 0) {
+      result[result.length - 1].lines.push(line)
+    }
+  })
+  return result
+}
+
+var SECTIONS = {
+  LOCUS: function (record, lines) {
+    var tokens = lines[0].split(/\s+/)
+    var rest = tokens.slice(4)
+    var flags = rest.slice(0, -2)
+    var topology = flags.filter(isTopology)[0] || ''
+    record.locus = {
+      name: tokens[1],
+      length: parseInt(tokens[2], 10),
+      unit: tokens[3],
+      moleculeType: flags.filter(function (flag) { return !isTopology(flag) })[0] || '',
+      topology: topology,
+      division: rest[rest.length - 2] || '',
+      date: rest[rest.length - 1] || ''
+    }
+  },
+  DEFINITION: function (record, lines) {
+    record.definition = value(lines)
+  },
+  ACCESSION: function (record, lines) {
+    record.accessions = value(lines).split(/\s+/).filter(Boolean)
+    record.accession = record.accessions[0] || ''
+  },
+  VERSION: function (record, lines) {
+    var tokens = value(lines).split(/\s+/)
+    record.version = tokens[0] || ''
+    tokens.slice(1).forEach(function (token) {
+      if (/^GI:/.test(token)) { record.gi = token.slice(3) }
+    })
+  },
+  DBLINK: function (record, lines) {
+    record.dblink = {}
+    lines.forEach(function (line) {
+      var match = line.slice(HEADERWIDTH).match(/^([^:]+):\s*(.*)$/)
+      if (match) { record.dblink[match[1].trim()] = match[2].split(/,\s*/).filter(Boolean) }
+    })
+  },
+  DBSOURCE: function (record, lines) {
+    record.dbsource = value(lines)
+  },
+  KEYWORDS: function (record, lines) {
+    var keywords = value(lines).replace(/\.$/, '')
+    record.keywords = keywords ? keywords.split(/;\s*/) : []
+  },
+  SOURCE: function (record, lines) {
+    var subsections = subSections(lines)
+    record.source = subsections.SOURCE || ''
+    var organism = subsections.ORGANISM || []
+    record.organism = organism[0] || ''
+    record.lineage = organism.slice(1).join(' ').replace(/\.$/, '').split(/;\s*/).filter(Boolean)
+  },
+  REFERENCE: function (record, lines) {
+    var subsections = subSections(lines)
+    var header = subsections.REFERENCE.match(/^(\d+)(?:\s+\((.*)\))?/) || []
+    var reference = {
+      number: parseInt(header[1], 10),
+      range: header[2] || ''
+    }
+    ;['AUTHORS', 'CONSRTM', 'TITLE', 'JOURNAL', 'PUBMED', 'REMARK'].forEach(function (key) {
+      if (subsections[key] !== undefined) { reference[key.toLowerCase()] = subsections[key] }
+    })
+    if (reference.consrtm !== undefined) {
+      reference.consortium = reference.consrtm
+      delete reference.consrtm
+    }
+    record.references.push(reference)
+  },
+  COMMENT: function (record, lines) {
+    record.comment = lines.map(function (line) { return line.slice(HEADERWIDTH) }).join('\n').trim()
+  },
+  FEATURES: function (record, lines) {
+    record.features = parseFeatures(lines.slice(1))
+  },
+  CONTIG: function (record, lines) {
+    record.contig = lines.map(function (line) { return line.slice(HEADERWIDTH).trim() }).join('')
+  },
+  ORIGIN: function (record, lines) {
+    record.sequence = lines.slice(1).join('').replace(/[\d\s]/g, '')
+  }
+}
+
+function isTopology (flag) {
+  return flag === 'linear' || flag === 'circular'
+}
+
+// Joins a header field and its continuation lines into one string.
+function value (lines) {
+  return lines.map(function (line) { return line.slice(HEADERWIDTH).trim() }).join(' ').trim()
+}
+
+// Splits SOURCE and REFERENCE into their indented keywords (ORGANISM, AUTHORS, TITLE, ...).
+// ORGANISM keeps its lines apart because the first one is the name and the rest the lineage.
+function subSections (lines) {
+  var result = {}
+  var current
+  lines.forEach(function (line) {
+    var match = line.match(/^\s{0,3}([A-Z]+)\s/)
+    if (match) {
+      current = match[1]
+      result[current] = []
+    }
+    if (current) { result[current].push(line.slice(HEADERWIDTH).trim()) }
+  })
+  Object.keys(result).forEach(function (key) {
+    if (key !== 'ORGANISM') { result[key] = result[key].join(' ').trim() }
+  })
+  return result
+}
+
+function parseFeatures (lines) {
+  var features = []
+  var feature
+  var qualifier
+  lines.forEach(function (line) {
+    var key = line.slice(0, FEATUREWIDTH).trim()
+    var text = line.slice(FEATUREWIDTH)
+    if (key) {
+      feature = { type: key, location: text.trim(), qualifiers: {} }
+      qualifier = null
+      features.push(feature)
+      return
+    }
+    if (!feature) { return }
+    var match = text.match(/^\/([A-Za-z_0-9]+)(?:=(.*))?$/)
+    if (qualifier && isOpen(qualifier.text)) {
+      qualifier.text += (qualifier.name === 'translation' ? '' : ' ') + text.trim()
+    } else if (match) {
+      qualifier = { name: match[1], text: match[2] === undefined ? null : match[2] }
+      addQualifier(feature, qualifier)
+    } else if (!qualifier) {
+      feature.location += text.trim()
+    }
+  })
+  features.forEach(function (feature) {
+    feature.ranges = parseLocation(feature.location)
+    Object.keys(feature.qualifiers).forEach(function (name) {
+      feature.qualifiers[name] = feature.qualifiers[name].map(qualifierValue)
+    })
+  })
+  return features
+}
+
+// A quoted value continues on the next lines until its closing quote.
+function isOpen (text) {
+  return text !== null && text[0] === '"' && text.match(/"/g).length % 2 === 1
+}
+
+function addQualifier (feature, qualifier) {
+  var qualifiers = feature.qualifiers
+  if (!qualifiers[qualifier.name]) { qualifiers[qualifier.name] = [] }
+  qualifiers[qualifier.name].push(qualifier)
+}
+
+// Qualifiers without a value (e.g. /pseudo) are true, quoted values lose their quotes
+// and numbers (e.g. /codon_start=1) become numbers.
+function qualifierValue (qualifier) {
+  var text = qualifier.text
+  if (text === null) { return true }
+  if (/^".*"$/.test(text)) { return text.slice(1, -1).replace(/""/g, '"') }
+  if (/^\d+$/.test(text)) { return parseInt(text, 10) }
+  return text
+}
+
+// Takes a feature location (e.g. `complement(join(<1..20,30..>40))`) and returns its
+// ranges with 1-based inclusive coordinates and the strand they are on.
+function parseLocation (location) {
+  var ranges = []
+  var operators = []
+  var pattern = /([a-z]+)\(|\)|(?:([A-Za-z0-9_.]+):)?(<)?(\d+)(?:(\.\.|\^|\.)(>)?(\d+))?(>)?/g
+  var match
+  while ((match = pattern.exec(location)) !== null) {
+    if (match[1]) {
+      operators.push(match[1])
+    } else if (match[0] === ')') {
+      operators.pop()
+    } else {
+      var complements = operators.filter(function (op) { return op === 'complement' }).length
+      var range = {
+        start: parseInt(match[4], 10),
+        end: parseInt(match[7] || match[4], 10),
+        strand: complements % 2 === 1 ? -1 : 1,
+        partialStart: match[3] === '<',
+        partialEnd: match[6] === '>' || match[8] === '>'
+      }
+      if (match[2]) { range.accession = match[2] }
+      if (match[5] === '^') { range.between = true }
+      ranges.push(range)
+    }
+  }
+  return ranges
+}
+
+module.exports.parse = parse
+module.exports.parseLocation = parseLocation
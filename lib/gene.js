@@ -0,0 +1,37 @@
+// Gene records for ncbi.gene, from gene esummary documents normalized with the gene schema.
+// Genomic coordinates come from `genomicinfo`, where NCBI counts from 0 and swaps start and
+// stop for genes on the minus strand. Here they are 1-based and inclusive, with a strand.
+
+// Takes a normalized esummary document and returns a gene record. RefSeq mRNA and
+// protein accessions are added by ncbi.gene.
+function fromSummary (doc) {
+  var gene = {
+    geneId: Number(doc.uid),
+    symbol: doc.name,
+    aliases: doc.aliases || [],
+    description: doc.description,
+    organism: doc.organism,
+    taxid: doc.taxid,
+    chromosome: doc.chromosome || undefined,
+    mapLocation: doc.maplocation || undefined,
+    locations: (doc.genomicinfo || []).map(location)
+  }
+  Object.keys(gene).forEach(function (key) {
+    if (gene[key] === undefined) { delete gene[key] }
+  })
+  return gene
+}
+
+function location (info) {
+  var minus = info.chrstart > info.chrstop
+  return {
+    accession: info.chraccver,
+    chromosome: info.chrloc,
+    start: Math.min(info.chrstart, info.chrstop) + 1,
+    stop: Math.max(info.chrstart, info.chrstop) + 1,
+    strand: minus ? -1 : 1,
+    exonCount: info.exoncount
+  }
+}
+
+module.exports.fromSummary = fromSummary
@@ -0,0 +1,53 @@
+// Terminal display for `download --pretty`: one line per file being downloaded and a
+// summary line, redrawn in place with ANSI escape codes.
+
+var MB = 1024 * 1024
+
+function create (output) {
+  var lines = 0
+
+  return {
+    render: render,
+    end: end
+  }
+
+  function render (state, transfers) {
+    var text = transfers.map(transferLine).concat(summaryLine(state))
+    // Move back to the first line of the previous render and clear everything below it
+    if (lines > 0) { output.write('\x1b[' + lines + 'A') }
+    output.write('\x1b[J' + text.join('\n') + '\n')
+    lines = text.length
+  }
+
+  function end () {
+    lines = 0
+  }
+}
+
+function transferLine (transfer) {
+  return [
+    'Downloading', transfer.path,
+    transfer.percentage.toFixed(2), '% of', toMB(transfer.length), 'MB at',
+    toMB(transfer.speed), 'MB/s'
+  ].join(' ')
+}
+
+function summaryLine (state) {
+  var line = [
+    state.files.done + '/' + state.files.total, 'files,',
+    toMB(state.bytes.done), 'of', toMB(state.bytes.total), 'MB'
+  ].join(' ')
+  if (state.eta !== null) { line += ', ' + formatSeconds(state.eta) + ' left' }
+  return line
+}
+
+function toMB (bytes) {
+  return (bytes / MB).toFixed(2)
+}
+
+function formatSeconds (seconds) {
+  var minutes = Math.floor(seconds / 60)
+  return minutes > 0 ? minutes + 'm ' + (seconds % 60) + 's' : seconds + 's'
+}
+
+module.exports.create = create
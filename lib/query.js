@@ -0,0 +1,122 @@
+// Builder for Entrez search terms, so field tags, phrases, date ranges and boolean
+// operators don't have to be written (and escaped) by hand:
+//
+//     query.create().organism('Solenopsis invicta').and().field('PDAT', { from: '2015', to: '2020' })
+//     => "Solenopsis invicta"[Organism] AND (2015[PDAT] : 2020[PDAT])
+//
+// Clauses are joined with AND unless `or()` or `not()` is called before them. The
+// esearch parameters set with `dates`, `sort` and `searchField` travel with the query.
+
+// Open ends of date ranges, as suggested by the Entrez documentation
+var MINDATE = '1800'
+var MAXDATE = '3000'
+
+function Query () {
+  this.clauses = []
+  this.operator = 'AND'
+  this.searchParams = {}
+}
+
+// Free text in Entrez syntax, added as it is
+Query.prototype.term = function (text) {
+  text = String(text).trim()
+  if (text === '') { throw new Error('Query terms cannot be empty') }
+  return this.add(text, /\s/.test(text))
+}
+
+Query.prototype.field = function (tag, value) {
+  if (!/^[\w ]+$/.test(tag)) { throw new Error('Invalid Entrez field tag "' + tag + '"') }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    var from = quote(formatDate(value.from === undefined ? MINDATE : value.from)) + '[' + tag + ']'
+    var to = quote(formatDate(value.to === undefined ? MAXDATE : value.to)) + '[' + tag + ']'
+    return this.add('(' + from + ' : ' + to + ')')
+  }
+  return this.add(quote(formatDate(value)) + '[' + tag + ']')
+}
+
+Query.prototype.organism = function (name) {
+  return this.field('Organism', name)
+}
+
+// Adds another query in parentheses, together with its esearch parameters
+Query.prototype.group = function (query) {
+  if (!(query instanceof Query) || query.clauses.length === 0) {
+    throw new Error('Groups need a query with at least one term')
+  }
+  Object.assign(this.searchParams, query.searchParams)
+  return this.add('(' + query.toString() + ')')
+}
+
+Query.prototype.and = function () { return this.setOperator('AND') }
+Query.prototype.or = function () { return this.setOperator('OR') }
+Query.prototype.not = function () { return this.setOperator('NOT') }
+
+// Limits results by date with the esearch datetype, mindate and maxdate parameters.
+// The type is a date field like pdat, mdat or edat.
+Query.prototype.dates = function (range) {
+  this.searchParams.mindate = formatDate(range.from === undefined ? MINDATE : range.from)
+  this.searchParams.maxdate = formatDate(range.to === undefined ? MAXDATE : range.to)
+  if (range.type) { this.searchParams.datetype = range.type }
+  return this
+}
+
+Query.prototype.sort = function (order) {
+  this.searchParams.sort = order
+  return this
+}
+
+// Searches every term of the query in one field (esearch `field` parameter)
+Query.prototype.searchField = function (tag) {
+  this.searchParams.field = tag
+  return this
+}
+
+Query.prototype.params = function () {
+  return Object.assign({}, this.searchParams)
+}
+
+// Free text with spaces is wrapped in parentheses once there is more than one clause,
+// so its own operators don't mix with the ones around it
+Query.prototype.toString = function () {
+  var grouped = this.clauses.length > 1
+  return this.clauses.map(function (clause, i) {
+    var text = clause.compound && grouped ? '(' + clause.text + ')' : clause.text
+    return i === 0 ? text : clause.operator + ' ' + text
+  }).join(' ')
+}
+
+Query.prototype.setOperator = function (operator) {
+  if (this.clauses.length === 0) { throw new Error(operator + ' needs a term before it') }
+  this.operator = operator
+  return this
+}
+
+Query.prototype.add = function (text, compound) {
+  this.clauses.push({ operator: this.operator, text: text, compound: compound })
+  this.operator = 'AND'
+  return this
+}
+
+// Entrez has no escaping inside phrases, so double quotes are dropped and values
+// with spaces, brackets or operators are quoted
+function quote (value) {
+  value = String(value).replace(/"/g, '').trim()
+  if (value === '') { throw new Error('Query values cannot be empty') }
+  return /[\s()[\]:]|^(AND|OR|NOT)$/i.test(value) ? '"' + value + '"' : value
+}
+
+function formatDate (value) {
+  if (!(value instanceof Date)) { return String(value) }
+  return [
+    value.getUTCFullYear(),
+    pad(value.getUTCMonth() + 1),
+    pad(value.getUTCDate())
+  ].join('/')
+}
+
+function pad (n) {
+  return n < 10 ? '0' + n : String(n)
+}
+
+module.exports.create = function () { return new Query() }
+module.exports.Query = Query
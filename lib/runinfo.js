@@ -0,0 +1,59 @@
+// Parser for the SRA RunInfo CSV (efetch with db=sra and rettype=runinfo).
+// The first line holds the column names and every other line is one run.
+
+// Takes the CSV text and returns an array of objects keyed by column name.
+function parse (text) {
+  var rows = parseCSV(String(text || ''))
+  var header = rows.shift() || []
+  return rows
+    .filter(function (row) {
+      // NCBI repeats the header between batches of runs
+      return row[0] !== header[0]
+    })
+    .map(function (row) {
+      var run = {}
+      header.forEach(function (name, i) { run[name] = row[i] === undefined ? '' : row[i] })
+      return run
+    })
+}
+
+// Splits CSV into rows of fields, keeping commas, quotes and line breaks inside quoted fields.
+function parseCSV (text) {
+  var rows = []
+  var row = []
+  var field = ''
+  var quoted = false
+  for (var i = 0; i < text.length; i++) {
+    var char = text[i]
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') { i++ }
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows.filter(function (row) { return row.length > 1 || row[0] !== '' })
+}
+
+module.exports.parse = parse
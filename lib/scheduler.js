@@ -0,0 +1,65 @@
+// Process-wide scheduler for E-utilities requests.
+// NCBI allows 3 requests per second per client (10 with an API key), so every
+// stream created by this module queues its requests here instead of firing
+// them straight away. The credentials are those of each request's options.
+
+var debug = require('debug')('bionode-ncbi')
+
+var env = typeof process !== 'undefined' && process.env ? process.env : {}
+
+var queue = []
+var lastRun = 0
+var timer = null
+
+// Takes the options of a request and returns its apiKey, email and tool, or
+// else the ones in NCBI_API_KEY, NCBI_EMAIL and NCBI_TOOL.
+function credentials (opts) {
+  opts = opts || {}
+  return {
+    apiKey: opts.apiKey || env.NCBI_API_KEY,
+    email: opts.email || env.NCBI_EMAIL,
+    tool: opts.tool || env.NCBI_TOOL
+  }
+}
+
+function interval (opts) {
+  return 1000 / (credentials(opts).apiKey ? 10 : 3)
+}
+
+// Appends the api_key, tool and email of the options to an E-utilities URL when they are set.
+function authorize (url, opts) {
+  var config = credentials(opts)
+  var params = []
+  if (config.apiKey) { params.push('api_key=' + encodeURIComponent(config.apiKey)) }
+  if (config.tool) { params.push('tool=' + encodeURIComponent(config.tool)) }
+  if (config.email) { params.push('email=' + encodeURIComponent(config.email)) }
+  if (params.length === 0) { return url }
+  return url + (url.indexOf('?') === -1 ? '?' : '&') + params.join('&')
+}
+
+// Queues a function that performs one request and runs it as soon as the
+// rate limit of the request options allows it.
+function schedule (fn, opts) {
+  queue.push({ run: fn, interval: interval(opts) })
+  if (queue.length > 1) { debug('request queued, ' + queue.length + ' waiting') }
+  drain()
+}
+
+function drain () {
+  if (timer || queue.length === 0) { return }
+  var wait = lastRun + queue[0].interval - Date.now()
+  if (wait > 0) {
+    timer = setTimeout(function () {
+      timer = null
+      drain()
+    }, wait)
+    return
+  }
+  lastRun = Date.now()
+  queue.shift().run()
+  drain()
+}
+
+module.exports.authorize = authorize
+module.exports.schedule = schedule
+module.exports.interval = interval
@@ -0,0 +1,40 @@
+// Genome assemblies
+var helpers = require('./helpers')
+
+module.exports = {
+  xml: ['meta'],
+  numbers: [
+    'taxid',
+    'speciestaxid',
+    'coverage',
+    'biosampleid',
+    'chainid',
+    'gb_projects',
+    'rs_projects'
+  ],
+  dates: [
+    'asmreleasedate_genbank',
+    'asmreleasedate_refseq',
+    'seqreleasedate',
+    'asmupdatedate',
+    'submissiondate',
+    'lastupdatedate'
+  ],
+  fields: {
+    accession: 'assemblyaccession',
+    taxid: 'taxid',
+    biosample: 'biosampleaccn'
+  },
+  // Keeps the organism name without the common name in brackets and
+  // turns the list of stats into { contig_count: 5126, ... } (only those for all sequences)
+  normalize: function (record) {
+    record.organism = (record.organism || '').replace(/\s*\([^)]*\)$/, '') || record.speciesname
+    var stats = record.meta && record.meta.Stats ? helpers.toArray(record.meta.Stats.Stat) : []
+    record.stats = {}
+    stats.forEach(function (stat) {
+      if (stat.sequence_tag !== 'all') { return }
+      record.stats[stat.category] = helpers.toNumber(stat._)
+    })
+    return record
+  }
+}
@@ -0,0 +1,11 @@
+// BioProjects
+module.exports = {
+  numbers: ['project_id', 'taxid'],
+  dates: ['registration_date'],
+  fields: {
+    accession: 'project_acc',
+    title: 'project_title',
+    organism: 'organism_name',
+    taxid: 'taxid'
+  }
+}
@@ -0,0 +1,25 @@
+// BioSamples, with their attributes
+var helpers = require('./helpers')
+
+module.exports = {
+  xml: ['sampledata'],
+  numbers: ['taxonomy'],
+  dates: ['publicationdate', 'modificationdate', 'date'],
+  fields: {
+    accession: 'accession',
+    organism: 'organism',
+    taxid: 'taxonomy'
+  },
+  // Attributes are keyed by their harmonized name when there is one
+  normalize: function (record) {
+    var sample = record.sampledata && record.sampledata.BioSample
+    var attributes = sample && sample.Attributes ? helpers.toArray(sample.Attributes.Attribute) : []
+    record.attributes = {}
+    attributes.forEach(function (attribute) {
+      if (typeof attribute !== 'object') { return }
+      var name = attribute.harmonized_name || attribute.attribute_name
+      record.attributes[name] = attribute._
+    })
+    return record
+  }
+}
@@ -0,0 +1,22 @@
+// Genes, with their genomic location
+module.exports = {
+  numbers: [
+    'currentid',
+    'geneweight',
+    'chrstart',
+    'genomicinfo.chrstart',
+    'genomicinfo.chrstop',
+    'genomicinfo.exoncount',
+    'locationhist.chrstart',
+    'locationhist.chrstop'
+  ],
+  fields: {
+    symbol: 'name',
+    organism: 'organism.scientificname',
+    taxid: 'organism.taxid'
+  },
+  normalize: function (record) {
+    record.aliases = record.otheraliases ? record.otheraliases.split(/,\s*/) : []
+    return record
+  }
+}
@@ -0,0 +1,27 @@
+// Conversions shared by the esummary schemas
+
+function toNumber (value) {
+  if (typeof value !== 'string') { return value }
+  if (value.trim() === '') { return null }
+  var number = Number(value)
+  return isNaN(number) ? value : number
+}
+
+// NCBI dates look like 2013/02/07 or 2012/12/06 00:00, and 1/01/01 00:00 means no date.
+function toDate (value) {
+  if (typeof value !== 'string') { return value }
+  var match = value.match(/^(\d{4})\/(\d{2})\/(\d{2})(?: (\d{2}):(\d{2}))?/)
+  if (!match) { return value.trim() === '' || /^1\/01\/01/.test(value) ? null : value }
+  var date = match[1] + '-' + match[2] + '-' + match[3]
+  return match[4] ? date + 'T' + match[4] + ':' + match[5] + ':00' : date
+}
+
+// xml2js gives a single object or an array depending on how many elements there are
+function toArray (value) {
+  if (value === undefined || value === null || value === '') { return [] }
+  return Array.isArray(value) ? value : [value]
+}
+
+module.exports.toNumber = toNumber
+module.exports.toDate = toDate
+module.exports.toArray = toArray
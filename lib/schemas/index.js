@@ -0,0 +1,66 @@
+// Schemas used by `normalize: true` to turn esummary documents into typed records.
+// Each schema lists the properties holding embedded XML (`xml`), the paths of
+// numbers and dates to convert (`numbers`, `dates`), the common `fields` to
+// flatten to the top level (organism, taxid, accession) and an optional `normalize`
+// function for anything else. Paths go through arrays, so `runs.Run.total_bases`
+// converts every run.
+
+var helpers = require('./helpers')
+var toNumber = helpers.toNumber
+var toDate = helpers.toDate
+
+var schemas = {
+  assembly: require('./assembly'),
+  bioproject: require('./bioproject'),
+  biosample: require('./biosample'),
+  gene: require('./gene'),
+  nuccore: require('./nuccore'),
+  protein: require('./nuccore'),
+  sra: require('./sra'),
+  taxonomy: require('./taxonomy')
+}
+
+// Takes a database name and an esummary document (with XML properties already parsed)
+// and returns a new normalized record. Databases without a schema are returned as they are.
+function normalize (db, doc) {
+  var schema = schemas[db]
+  if (!schema) { return doc }
+  var record = JSON.parse(JSON.stringify(doc))
+  ;(schema.numbers || []).forEach(function (path) { convert(record, path.split('.'), toNumber) })
+  ;(schema.dates || []).forEach(function (path) { convert(record, path.split('.'), toDate) })
+  var fields = {}
+  Object.keys(schema.fields || {}).forEach(function (field) {
+    fields[field] = getPath(record, schema.fields[field].split('.'))
+  })
+  if (fields.taxid !== undefined) { fields.taxid = toNumber(fields.taxid) }
+  record = Object.assign(record, fields)
+  return schema.normalize ? schema.normalize(record) : record
+}
+
+// Map of database names to the esummary properties that hold XML strings
+function xmlProperties () {
+  var result = {}
+  Object.keys(schemas).forEach(function (db) {
+    if (schemas[db].xml) { result[db] = schemas[db].xml }
+  })
+  return result
+}
+
+function convert (obj, path, fn) {
+  if (Array.isArray(obj)) { return obj.forEach(function (item) { convert(item, path, fn) }) }
+  if (obj === null || typeof obj !== 'object' || !(path[0] in obj)) { return }
+  if (path.length === 1) {
+    obj[path[0]] = Array.isArray(obj[path[0]]) ? obj[path[0]].map(fn) : fn(obj[path[0]])
+  } else {
+    convert(obj[path[0]], path.slice(1), fn)
+  }
+}
+
+function getPath (obj, path) {
+  return path.reduce(function (value, key) {
+    return value !== null && value !== undefined ? value[key] : undefined
+  }, obj)
+}
+
+module.exports.normalize = normalize
+module.exports.xmlProperties = xmlProperties
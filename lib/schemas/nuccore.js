@@ -0,0 +1,10 @@
+// Nucleotide and protein sequences
+module.exports = {
+  numbers: ['gi', 'slen', 'taxid', 'segsetsize', 'assemblygi', 'statistics.count'],
+  dates: ['createdate', 'updatedate'],
+  fields: {
+    accession: 'accessionversion',
+    organism: 'organism',
+    taxid: 'taxid'
+  }
+}
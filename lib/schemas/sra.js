@@ -0,0 +1,36 @@
+// SRA experiments, with their runs
+module.exports = {
+  xml: ['expxml', 'runs'],
+  numbers: [
+    'expxml.Summary.Statistics.total_runs',
+    'expxml.Summary.Statistics.total_spots',
+    'expxml.Summary.Statistics.total_bases',
+    'expxml.Summary.Statistics.total_size',
+    'expxml.Organism.taxid',
+    'runs.Run.total_spots',
+    'runs.Run.total_bases'
+  ],
+  dates: ['createdate', 'updatedate'],
+  fields: {
+    accession: 'expxml.Experiment.acc',
+    title: 'expxml.Summary.Title',
+    organism: 'expxml.Organism.ScientificName',
+    taxid: 'expxml.Organism.taxid',
+    study: 'expxml.Study.acc',
+    sample: 'expxml.Sample.acc',
+    bioproject: 'expxml.Bioproject',
+    biosample: 'expxml.Biosample'
+  },
+  normalize: function (record) {
+    var expxml = record.expxml || {}
+    var platform = (expxml.Summary && expxml.Summary.Platform) || {}
+    var library = expxml.Library_descriptor || {}
+    record.platform = typeof platform === 'string' ? platform : platform._
+    record.instrumentModel = platform.instrument_model
+    record.libraryStrategy = library.LIBRARY_STRATEGY
+    record.librarySource = library.LIBRARY_SOURCE
+    record.librarySelection = library.LIBRARY_SELECTION
+    record.libraryLayout = library.LIBRARY_LAYOUT ? Object.keys(library.LIBRARY_LAYOUT)[0] : undefined
+    return record
+  }
+}
@@ -0,0 +1,9 @@
+// Taxonomy nodes
+module.exports = {
+  numbers: ['taxid', 'akataxid'],
+  dates: ['modificationdate'],
+  fields: {
+    organism: 'scientificname',
+    taxid: 'taxid'
+  }
+}
@@ -0,0 +1,76 @@
+// Writes streamed objects as CSV or TSV: a header line with the keys of the first
+// object (or the given columns) followed by one line per object.
+// Columns can be dotted paths (e.g. `meta.FtpSites.FtpPath`) that, like tool-stream's
+// getValue, also go inside JSON strings. Paths going through arrays collect the values
+// of every element, and arrays end up in a single cell joined with `;`.
+
+var through = require('through2')
+
+var SEPARATORS = { csv: ',', tsv: '\t' }
+var ARRAYSEPARATOR = ';'
+
+function createStream (format, columns) {
+  var separator = SEPARATORS[format]
+  if (!separator) { throw new Error('Unknown table format ' + format + ', use csv or tsv') }
+  var header
+  var stream = through.obj(transform)
+  return stream
+
+  function transform (obj, enc, next) {
+    if (!header) {
+      header = columns || Object.keys(obj)
+      this.push(line(header) + '\n')
+    }
+    this.push(line(header.map(function (path) { return getValue(obj, path) })) + '\n')
+    next()
+  }
+
+  function line (values) {
+    return values.map(function (value) { return cell(value, format) }).join(separator)
+  }
+}
+
+// Takes an object and the dotted paths of the fields to keep, and returns a
+// flat object keyed by path.
+function select (obj, paths) {
+  var selected = {}
+  paths.forEach(function (path) { selected[path] = getValue(obj, path) })
+  return selected
+}
+
+function getValue (obj, path) {
+  return path.split('.').reduce(function (value, key) {
+    if (Array.isArray(value)) {
+      return flatten(value.map(function (item) { return getValue(item, key) }))
+    }
+    if (typeof value === 'string' && value !== '') {
+      try { value = JSON.parse(value) } catch (e) { return undefined }
+    }
+    return value === undefined || value === null ? undefined : value[key]
+  }, obj)
+}
+
+function flatten (values) {
+  return values.reduce(function (acc, value) {
+    if (value === undefined) { return acc }
+    return acc.concat(value)
+  }, [])
+}
+
+function cell (value, format) {
+  value = toText(value)
+  if (format === 'tsv') { return value.replace(/[\t\r\n]+/g, ' ') }
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+}
+
+function toText (value) {
+  if (value === undefined || value === null) { return '' }
+  if (Array.isArray(value)) { return value.map(toText).join(ARRAYSEPARATOR) }
+  // xml2js keeps the text of elements with attributes under `_`
+  if (typeof value === 'object') { return value._ !== undefined ? String(value._) : JSON.stringify(value) }
+  return String(value)
+}
+
+module.exports.createStream = createStream
+module.exports.select = select
+module.exports.getValue = getValue
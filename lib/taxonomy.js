@@ -0,0 +1,117 @@
+// Taxonomy nodes from efetch taxonomy XML, and the trees their lineages make.
+// A node looks like:
+//
+//     { taxid: 13686, rank: 'species', scientificName: 'Solenopsis invicta',
+//       commonName: 'red fire ant', parentTaxid: 13685, division: 'Invertebrates',
+//       lineage: [{ taxid: 131567, rank: 'no rank', name: 'cellular organisms' }, [...],
+//                 { taxid: 13685, rank: 'genus', name: 'Solenopsis' }] }
+
+var through = require('through2')
+var xmlRecords = require('./xml-records')
+var toNumber = require('./schemas/helpers').toNumber
+
+// Takes efetch taxonomy XML and returns an array of nodes.
+function parse (xml) {
+  return xmlRecords.parse(xml, 'Taxon').map(normalize)
+}
+
+// Takes a Taxon element (as parsed by xml-records) and returns a node.
+function normalize (taxon) {
+  var otherNames = first(taxon.OtherNames) || {}
+  var node = {
+    taxid: toNumber(first(taxon.TaxId)),
+    rank: first(taxon.Rank),
+    scientificName: first(taxon.ScientificName),
+    commonName: first(otherNames.GenbankCommonName) || first(otherNames.CommonName),
+    parentTaxid: toNumber(first(taxon.ParentTaxId)),
+    division: first(taxon.Division),
+    lineage: ((first(taxon.LineageEx) || {}).Taxon || []).map(function (ancestor) {
+      return {
+        taxid: toNumber(first(ancestor.TaxId)),
+        rank: first(ancestor.Rank),
+        name: first(ancestor.ScientificName)
+      }
+    })
+  }
+  Object.keys(node).forEach(function (key) {
+    if (node[key] === undefined) { delete node[key] }
+  })
+  return node
+}
+
+function first (values) {
+  return Array.isArray(values) ? values[0] : values
+}
+
+// Takes nodes and returns the tree their lineages make, starting at the root of
+// all of them. Each tree node has a taxid, rank, name and children.
+function tree (nodes) {
+  var root = { name: 'root', children: [] }
+  nodes.forEach(function (node) {
+    var path = node.lineage.concat({ taxid: node.taxid, rank: node.rank, name: node.scientificName })
+    path.reduce(function (parent, step) {
+      var child = parent.children.filter(function (child) { return child.taxid === step.taxid })[0]
+      if (!child) {
+        child = { taxid: step.taxid, rank: step.rank, name: step.name, children: [] }
+        parent.children.push(child)
+      }
+      return child
+    }, root)
+  })
+  var taxids = nodes.map(function (node) { return node.taxid })
+  var several = taxids.some(function (taxid) { return taxid !== taxids[0] })
+  // With several taxa, skip the part of the lineage above their lowest common ancestor.
+  // A single taxon keeps its whole lineage.
+  if (several) {
+    while (root.children.length === 1 && root.children[0].children.length > 0) {
+      root = root.children[0]
+    }
+  }
+  return root.children.length === 1 ? root.children[0] : root
+}
+
+function newick (node) {
+  var label = newickLabel(node.name)
+  if (node.children.length === 0) { return label }
+  return '(' + node.children.map(newick).join(',') + ')' + label
+}
+
+// Names with spaces or Newick punctuation are quoted, doubling their own quotes
+function newickLabel (name) {
+  return /[\s(),:;'[\]]/.test(name) ? "'" + name.replace(/'/g, "''") + "'" : name
+}
+
+function indented (node, depth) {
+  depth = depth || 0
+  var line = new Array(depth + 1).join('  ') + node.name +
+    (node.rank ? ' (' + node.rank + ', ' + node.taxid + ')' : '')
+  return [line].concat(node.children.map(function (child) {
+    return indented(child, depth + 1)
+  })).join('\n')
+}
+
+// Takes `newick` or `tree` and returns a stream that takes nodes and emits their
+// tree as text once they have all been read.
+function createTreeStream (format) {
+  var nodes = []
+  return through.obj(function (node, enc, next) {
+    if (!node || !Array.isArray(node.lineage)) {
+      return next(new Error('Tree output needs taxonomy nodes, use it with the taxonomy command'))
+    }
+    nodes.push(node)
+    next()
+  }, function (done) {
+    if (nodes.length > 0) {
+      var root = tree(nodes)
+      this.push(format === 'newick' ? newick(root) + ';\n' : indented(root) + '\n')
+    }
+    done()
+  })
+}
+
+module.exports.parse = parse
+module.exports.normalize = normalize
+module.exports.tree = tree
+module.exports.newick = newick
+module.exports.indented = indented
+module.exports.createTreeStream = createTreeStream
@@ -34,17 +34,11 @@ var dbs = {
   pccompound: 'PubChem Compound',
   pcsubstance: 'PubChem Substance',
   pubmed: 'PubMed',
-  pubmedhealth: 'PubMed Health',
   snp: 'SNP',
   sparcle: 'Sparcle',
   sra: 'SRA',
   structure: 'Structure',
-  taxonomy: 'Taxonomy',
-  toolkit: 'ToolKit',
-  toolkitall: 'ToolKitAll',
-  toolkitbook: 'ToolKitBook',
-  toolkitbookgh: 'ToolKitBookgh',
-  unigene: 'UniGene'
+  taxonomy: 'Taxonomy'
 }
 
 function printDbs (dbsObject) {
@@ -60,6 +54,19 @@ function printDbs (dbsObject) {
   }, '')
 }
 
+// Takes the database names einfo lists and makes them the valid databases, keeping the
+// names of the ones already known. Returns the names added and removed.
+function update (names) {
+  var added = names.filter(function (name) { return dbs[name] === undefined })
+  var removed = Object.keys(dbs).filter(function (name) {
+    // gquery is the global query, which einfo doesn't list
+    return name !== 'gquery' && names.indexOf(name) === -1
+  })
+  removed.forEach(function (name) { delete dbs[name] })
+  added.forEach(function (name) { dbs[name] = name })
+  return { added: added, removed: removed }
+}
+
 function InvalidDbError (msg) {
   this.name = 'InvalidDbError'
   this.message = msg
@@ -70,3 +77,4 @@ InvalidDbError.prototype = new Error('Invalid database')
 module.exports.dbs = dbs
 module.exports.InvalidDbError = InvalidDbError
 module.exports.printDbs = printDbs
+module.exports.update = update
@@ -0,0 +1,87 @@
+// SAX based XML parsing that emits one object per record element (e.g. every
+// PubmedArticle in a PubmedArticleSet) without keeping the whole document in memory.
+// Records have the same shape xml2js gives by default: attributes under `$`,
+// child elements as arrays and text under `_` when an element also has attributes.
+
+var sax = require('sax')
+var through = require('through2')
+var StringDecoder = require('string_decoder').StringDecoder
+
+// Takes the name of the record element and returns a stream that takes XML
+// text chunks and emits record objects.
+function createStream (recordElement) {
+  var decoder = new StringDecoder('utf8')
+  var records = []
+  var parser = createParser(recordElement, function (record) { records.push(record) })
+  var stream = through.obj(transform, flush)
+  return stream
+
+  function transform (chunk, enc, next) {
+    try {
+      parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk))
+    } catch (err) { return next(err) }
+    pushRecords(this)
+    next()
+  }
+
+  function flush (done) {
+    try {
+      parser.write(decoder.end())
+      parser.close()
+    } catch (err) { return done(err) }
+    pushRecords(this)
+    done()
+  }
+
+  function pushRecords (self) {
+    records.forEach(function (record) { self.push(record) })
+    records = []
+  }
+}
+
+// Takes a XML string and the name of the record element and returns an array of records.
+function parse (xml, recordElement) {
+  var records = []
+  var parser = createParser(recordElement, function (record) { records.push(record) })
+  parser.write(xml).close()
+  return records
+}
+
+function createParser (recordElement, onRecord) {
+  var parser = sax.parser(true)
+  var stack = []
+
+  parser.onopentag = function (node) {
+    if (stack.length === 0 && node.name !== recordElement) { return }
+    stack.push({ attributes: node.attributes, children: {}, text: '' })
+  }
+
+  parser.ontext = parser.oncdata = function (text) {
+    if (stack.length > 0) { stack[stack.length - 1].text += text }
+  }
+
+  parser.onclosetag = function (name) {
+    if (stack.length === 0) { return }
+    var value = toValue(stack.pop())
+    if (stack.length === 0) { return onRecord(value) }
+    var children = stack[stack.length - 1].children
+    if (!children[name]) { children[name] = [] }
+    children[name].push(value)
+  }
+
+  return parser
+}
+
+function toValue (node) {
+  var text = node.text.trim()
+  var hasAttributes = Object.keys(node.attributes).length > 0
+  var hasChildren = Object.keys(node.children).length > 0
+  if (!hasAttributes && !hasChildren) { return text }
+  var value = {}
+  if (hasAttributes) { value.$ = node.attributes }
+  if (text !== '') { value._ = text }
+  return Object.assign(value, node.children)
+}
+
+module.exports.createStream = createStream
+module.exports.parse = parse
@@ -0,0 +1,114 @@
+// efetch XML of one pubmed and one pmc article, cut short
+module.exports.pubmed = `<?xml version="1.0" ?>
+<!DOCTYPE PubmedArticleSet PUBLIC "-//NLM//DTD PubMedArticle, 1st January 2019//EN" "https://dtd.nlm.nih.gov/ncbi/pubmed/out/pubmed_190101.dtd">
+<PubmedArticleSet>
+<PubmedArticle>
+    <MedlineCitation Status="MEDLINE" Owner="NLM">
+        <PMID Version="1">21282665</PMID>
+        <Article PubModel="Print-Electronic">
+            <Journal>
+                <ISSN IssnType="Electronic">1091-6490</ISSN>
+                <JournalIssue CitedMedium="Internet">
+                    <Volume>108</Volume>
+                    <Issue>14</Issue>
+                    <PubDate>
+                        <Year>2011</Year>
+                        <Month>Apr</Month>
+                    </PubDate>
+                </JournalIssue>
+                <Title>Proceedings of the National Academy of Sciences of the United States of America</Title>
+                <ISOAbbreviation>Proc Natl Acad Sci U S A</ISOAbbreviation>
+            </Journal>
+            <ArticleTitle>The genome of the fire ant <i>Solenopsis invicta</i>.</ArticleTitle>
+            <Pagination>
+                <MedlinePgn>5679-84</MedlinePgn>
+            </Pagination>
+            <ELocationID EIdType="doi" ValidYN="Y">10.1073/pnas.1009690108</ELocationID>
+            <Abstract>
+                <AbstractText Label="BACKGROUND">Ants have evolved very complex societies &amp; are key ecosystem members.</AbstractText>
+                <AbstractText Label="RESULTS">We report the draft genome.</AbstractText>
+            </Abstract>
+            <AuthorList CompleteYN="Y">
+                <Author ValidYN="Y">
+                    <LastName>Wurm</LastName>
+                    <ForeName>Yannick</ForeName>
+                    <Initials>Y</Initials>
+                </Author>
+                <Author ValidYN="Y">
+                    <LastName>Keller</LastName>
+                    <ForeName>Laurent</ForeName>
+                    <Initials>L</Initials>
+                </Author>
+                <Author ValidYN="Y">
+                    <CollectiveName>Fire Ant Genome Consortium</CollectiveName>
+                </Author>
+            </AuthorList>
+        </Article>
+        <MeshHeadingList>
+            <MeshHeading>
+                <DescriptorName UI="D000818" MajorTopicYN="N">Animals</DescriptorName>
+            </MeshHeading>
+            <MeshHeading>
+                <DescriptorName UI="D000953" MajorTopicYN="Y">Ants</DescriptorName>
+                <QualifierName UI="Q000235" MajorTopicYN="Y">genetics</QualifierName>
+            </MeshHeading>
+        </MeshHeadingList>
+    </MedlineCitation>
+    <PubmedData>
+        <ArticleIdList>
+            <ArticleId IdType="pubmed">21282665</ArticleId>
+            <ArticleId IdType="doi">10.1073/pnas.1009690108</ArticleId>
+            <ArticleId IdType="pmc">PMC3078418</ArticleId>
+        </ArticleIdList>
+    </PubmedData>
+</PubmedArticle>
+</PubmedArticleSet>
+`
+
+module.exports.pmc = `<?xml version="1.0" ?>
+<!DOCTYPE pmc-articleset PUBLIC "-//NLM//DTD ARTICLE SET 2.0//EN" "https://dtd.nlm.nih.gov/ncbi/pmc/articleset/nlm-articleset-2.0.dtd">
+<pmc-articleset><article xmlns:xlink="http://www.w3.org/1999/xlink" article-type="research-article">
+  <front>
+    <journal-meta>
+      <journal-id journal-id-type="nlm-ta">PLoS One</journal-id>
+      <journal-id journal-id-type="iso-abbrev">PLoS One</journal-id>
+      <journal-title-group>
+        <journal-title>PLoS ONE</journal-title>
+      </journal-title-group>
+    </journal-meta>
+    <article-meta>
+      <article-id pub-id-type="pmid">22751099</article-id>
+      <article-id pub-id-type="pmc">3386253</article-id>
+      <article-id pub-id-type="doi">10.1371/journal.pone.0039469</article-id>
+      <title-group>
+        <article-title>Sequencing of the <italic>Solenopsis</italic> transcriptome</article-title>
+      </title-group>
+      <contrib-group>
+        <contrib contrib-type="author">
+          <name>
+            <surname>Wurm</surname>
+            <given-names>Yannick</given-names>
+          </name>
+        </contrib>
+        <contrib contrib-type="editor">
+          <name>
+            <surname>Smith</surname>
+            <given-names>Ann</given-names>
+          </name>
+        </contrib>
+      </contrib-group>
+      <pub-date pub-type="epub">
+        <day>27</day>
+        <month>6</month>
+        <year>2012</year>
+      </pub-date>
+      <volume>7</volume>
+      <issue>6</issue>
+      <elocation-id>e39469</elocation-id>
+      <abstract>
+        <p>Fire ants are invasive.</p>
+      </abstract>
+    </article-meta>
+  </front>
+</article></pmc-articleset>
+`
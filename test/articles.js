@@ -0,0 +1,46 @@
+var tape = require('tape')
+var articles = require('../lib/articles')
+var sample = require('./articles-sample')
+
+tape('pubmed articles', t => {
+  t.deepEqual(articles.parse(sample.pubmed, 'pubmed'), [{
+    pmid: '21282665',
+    pmcid: 'PMC3078418',
+    doi: '10.1073/pnas.1009690108',
+    title: 'The genome of the fire ant Solenopsis invicta.',
+    authors: [
+      { family: 'Wurm', given: 'Yannick' },
+      { family: 'Keller', given: 'Laurent' },
+      { literal: 'Fire Ant Genome Consortium' }
+    ],
+    journal: 'Proceedings of the National Academy of Sciences of the United States of America',
+    journalAbbreviation: 'Proc Natl Acad Sci U S A',
+    volume: '108',
+    issue: '14',
+    pages: '5679-84',
+    year: 2011,
+    abstract: 'BACKGROUND: Ants have evolved very complex societies & are key ecosystem members.\nRESULTS: We report the draft genome.',
+    mesh: ['Animals', 'Ants']
+  }], 'normalizes PubmedArticle records, keeping italic text')
+  t.end()
+})
+
+tape('pmc articles', t => {
+  t.deepEqual(articles.parse(sample.pmc, 'pmc'), [{
+    pmid: '22751099',
+    pmcid: 'PMC3386253',
+    doi: '10.1371/journal.pone.0039469',
+    title: 'Sequencing of the Solenopsis transcriptome',
+    authors: [{ family: 'Wurm', given: 'Yannick' }],
+    journal: 'PLoS ONE',
+    journalAbbreviation: 'PLoS One',
+    volume: '7',
+    issue: '6',
+    pages: 'e39469',
+    year: 2012,
+    abstract: 'Fire ants are invasive.',
+    mesh: []
+  }], 'normalizes JATS articles, leaving out editors')
+  t.throws(function () { articles.parse(sample.pmc, 'sra') }, /pubmed or pmc/, 'rejects other databases')
+  t.end()
+})
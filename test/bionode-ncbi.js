@@ -1,4 +1,6 @@
 var fs = require('fs')
+var Readable = require('stream').Readable
+var os = require('os')
 var crypto = require('crypto')
 var tape = require('tape')
 var tapeNock = require('tape-nock')
@@ -10,12 +12,45 @@ var ncbi = require('../')
 var testData = require('./data')
 var guillardiaThetaSRAData = require('./guillardia-theta.sra')
 var efetchTestData = require('./p53-nucest')
+var genbankSample = require('./genbank-sample')
+var taxonomySample = require('./taxonomy-sample')
+var articlesSample = require('./articles-sample')
+var recorded = require('./recorded-responses')
+var xmlRecords = require('../lib/xml-records')
+var validDbs = require('../lib/valid-dbs')
+
+// Interceptors for a search whose esummary returns a response recorded from NCBI
+function mockSearch (db, term, summary) {
+  var esummary = '/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=' + db +
+    '&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=' + summary.result.uids.length
+  nock('http://eutils.ncbi.nlm.nih.gov')
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=' + db +
+      '&term=' + encodeURIComponent(term) + '&usehistory=y')
+    .reply(200, {esearchresult: {count: String(summary.result.uids.length), webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get(esummary)
+    .reply(200, summary)
+}
+
+// Interceptors for downloading the assembly ASM1036v1, whose file is in the 31868 folder
+function mockAssemblyDownload () {
+  var folder = '/genomes/all/GCF/000/010/365/GCF_000010365.1_ASM1036v1'
+  mockSearch('assembly', 'ASM1036v1', recorded.esummary['assembly-asm1036v1'])
+  nock('http://ftp.ncbi.nlm.nih.gov')
+    .get(folder)
+    .reply(200, recorded.listing['asm1036v1'])
+    .get(folder + '/md5checksums.txt')
+    .reply(200, '63f0b3ae99b191ffefd5a757f6a45f54  ./GCF_000010365.1_ASM1036v1_genomic.fna.gz\n')
+}
 
 test('Download list for assembly', function (t) {
   var msg = 'should take a database name (assembly) and search term (Guillardia theta), and list datasets URLs'
   var db = 'assembly'
   var expResult = [testData.assembly['guillardia-theta'].urls]
   var results = []
+  mockSearch(db, 'Guillardia theta', recorded.esummary['assembly-guillardia-theta'])
+  nock('http://ftp.ncbi.nlm.nih.gov')
+    .get('/genomes/all/GCF/000/315/625/GCF_000315625.1_Guith1')
+    .reply(200, recorded.listing['guillardia-theta'])
   var stream = ncbi.urls(db, 'Guillardia theta')
   stream.on('data', function (data) { results.push(data) })
   stream.on('end', function () {
@@ -29,6 +64,13 @@ test('Download list for sra', function (t) {
   var db = 'sra'
   var expResult = testData.sra['guillardia-theta'].urls
   var results = []
+  mockSearch(db, 'Guillardia theta', recorded.esummary['sra-guillardia-theta'])
+  // RunInfo without download paths, so every run falls back to the ODP bucket
+  expResult.forEach(function (expected) {
+    nock('http://eutils.ncbi.nlm.nih.gov')
+      .get('/entrez/eutils/efetch.fcgi?db=sra&id=' + expected.uid + '&rettype=runinfo&retmode=text')
+      .reply(200, 'Run,download_path\n')
+  })
   var stream = ncbi.urls(db, 'Guillardia theta')
   stream.on('data', function (data) { results.push(data) })
   stream.on('end', function () {
@@ -40,6 +82,7 @@ test('Download list for sra', function (t) {
 test('Download', function (t) {
   var msg = 'should take a database name and search term, and download'
   var path = ''
+  mockAssemblyDownload()
   var stream = ncbi.download('assembly', 'ASM1036v1')
   stream.on('data', function (data) { path = data.path })
   stream.on('end', function () {
@@ -58,6 +101,7 @@ test('Download', function (t) {
 test('Download unless file exists', function (t) {
   var msg = 'repeat same download to cover already downloaded branch'
   var path = ''
+  mockAssemblyDownload()
   var stream = ncbi.download('assembly', 'ASM1036v1')
   stream.on('data', function (data) { path = data.path })
   stream.on('end', function () {
@@ -75,6 +119,7 @@ test('Download unless file exists', function (t) {
 
 test('Search assembly', function (t) {
   var results1 = []
+  mockSearch('assembly', 'Guillardia theta', recorded.esummary['assembly-guillardia-theta'])
   var stream = ncbi.search('assembly', 'Guillardia theta')
   stream.on('data', function (data) { results1.push(data) })
   stream.on('end', function (data) {
@@ -86,6 +131,7 @@ test('Search assembly', function (t) {
 
 test('Search sra', function (t) {
   var results2 = []
+  mockSearch('sra', 'Guillardia theta', recorded.esummary['sra-guillardia-theta'])
   var stream = ncbi.search('sra', 'Guillardia theta')
   stream.on('data', function (data) { results2.push(data) })
   stream.on('end', function () {
@@ -97,6 +143,12 @@ test('Search sra', function (t) {
 
 test('Search sra with limit to one', function (t) {
   var results3 = []
+  var summary = recorded.esummary['sra-guillardia-theta'].result
+  nock('http://eutils.ncbi.nlm.nih.gov')
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=sra&term=Guillardia%20theta&usehistory=y')
+    .reply(200, {esearchresult: {count: '13', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=sra&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .reply(200, {result: {uids: ['785981'], '785981': summary['785981']}})
   var stream = ncbi.search({ db: 'sra', term: 'Guillardia theta', limit: 1 })
   stream.on('data', function (data) {
     results3.push(data)
@@ -113,6 +165,34 @@ test('Search sra with limit to one', function (t) {
   })
 })
 
+test('Search count and dry run', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var esummary = base + '/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=sra&query_key=1&WebEnv=FAKE_WEBENV'
+  var esearch = '/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=sra&term=human&usehistory=y'
+  var reply = {esearchresult: {count: '4982360', webenv: 'FAKE_WEBENV', querykey: '1', querytranslation: 'human[All Fields]'}}
+
+  nock(base)
+    .get(esearch)
+    .reply(200, reply)
+    .get(esearch)
+    .reply(200, reply)
+
+  ncbi.search({ db: 'sra', term: 'human', count: true }, function (results) {
+    t.deepEqual(results, [{ db: 'sra', term: 'human', total: 4982360, count: 4982360, queryTranslation: 'human[All Fields]' }],
+      'should only return the count and translated query')
+    ncbi.search({ db: 'sra', term: 'human', dryRun: true, limit: 120 }, function (results) {
+      t.deepEqual(results[0], { endpoint: 'esearch', url: base + esearch, db: 'sra', term: 'human', total: 4982360, count: 120, queryTranslation: 'human[All Fields]' },
+        'should start with the esearch result')
+      t.deepEqual(results.slice(1), [
+        { endpoint: 'esummary', url: esummary + '&retstart=0&retmax=50' },
+        { endpoint: 'esummary', url: esummary + '&retstart=50&retmax=50' },
+        { endpoint: 'esummary', url: esummary + '&retstart=100&retmax=20' }
+      ], 'should return the esummary requests without making them')
+      t.end()
+    })
+  })
+})
+
 test('Link sra to bioproject', function (t) {
   var results = []
   var stream = ncbi.link('sra', 'bioproject', '35533')
@@ -137,6 +217,19 @@ test('Link bioproject to assembly', function (t) {
 
 test('Fetch', function (t) {
   var results = []
+  var efetch = '/entrez/eutils/efetch.fcgi?&version=2.0&db=nucest&query_key=1&WebEnv=FAKE_WEBENV'
+  var scope = nock('http://eutils.ncbi.nlm.nih.gov')
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=nucest&term=p53&usehistory=y')
+    .reply(200, {esearchresult: {count: String(efetchTestData.length), webenv: 'FAKE_WEBENV', querykey: '1'}})
+  // Pages of 50 sequences as FASTA wrapped at 70 characters, like efetch sends them
+  for (var retstart = 0; retstart < efetchTestData.length; retstart += 50) {
+    var page = efetchTestData.slice(retstart, retstart + 50)
+    scope
+      .get(efetch + '&retstart=' + retstart + '&retmax=' + page.length + '&rettype=fasta&retmode=fasta')
+      .reply(200, page.map(function (record) {
+        return '>' + record.id + '\n' + record.seq.match(/.{1,70}/g).join('\n') + '\n'
+      }).join('\n'))
+  }
   var stream = ncbi.fetch('nucest', 'p53')
   stream.on('data', function (data) { results.push(data) })
   stream.on('end', function () {
@@ -166,3 +259,928 @@ test('Error Handling', function (t) {
   })
   setTimeout(t.end, 2000)
 })
+
+test('Error Handling for rejected queries', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var path = '/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=bad%5Bfield&usehistory=y'
+  var msg = 'Should emit a QueryError with the request URL without retrying'
+
+  nock(base)
+    .get(path)
+    .reply(200, {esearchresult: {ERROR: 'Invalid query'}})
+
+  var stream = ncbi.search('assembly', 'bad[field')
+  stream.on('error', function (err) {
+    t.ok(err instanceof ncbi.QueryError, msg)
+    t.equal(err.attempts, 1, 'should report one attempt')
+    t.equal(err.url, base + path, 'should carry the failing URL')
+    t.end()
+  })
+})
+
+test('Error Handling for unavailable servers', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var path = '/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=down&usehistory=y'
+  var msg = 'Should retry with backoff and then emit a RequestFailedError'
+
+  nock(base)
+    .get(path)
+    .times(3)
+    .reply(503, '', {'Retry-After': '0'})
+
+  var stream = ncbi.search({ db: 'assembly', term: 'down', maxRetries: 2, retryDelay: 10 })
+  stream.on('error', function (err) {
+    t.ok(err instanceof ncbi.RequestFailedError, msg)
+    t.equal(err.statusCode, 503, 'should carry the status code')
+    t.equal(err.attempts, 3, 'should report every attempt')
+    t.end()
+  })
+})
+
+test('Post', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should upload UIDs with EPost and return a History server handle'
+
+  nock(base)
+    .post('/entrez/eutils/epost.fcgi', 'db=sra&id=35533%2C35532%2C35531')
+    .reply(200, '<?xml version="1.0" encoding="UTF-8" ?>\n' +
+      '<ePostResult><QueryKey>1</QueryKey><WebEnv>FAKE_WEBENV</WebEnv></ePostResult>')
+
+  ncbi.post('sra', '35533\n35532, 35531', function (handles) {
+    t.deepEqual(handles, [{ db: 'sra', webenv: 'FAKE_WEBENV', queryKey: '1', count: 3 }], msg)
+    t.end()
+  })
+})
+
+test('Post is not cached', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var cacheDir = fs.mkdtempSync(os.tmpdir() + '/bionode-ncbi-')
+  var opts = { db: 'sra', ids: '35533', cacheDir: cacheDir }
+
+  nock(base)
+    .post('/entrez/eutils/epost.fcgi', 'db=sra&id=35533')
+    .reply(200, '<ePostResult><QueryKey>1</QueryKey><WebEnv>FIRST_WEBENV</WebEnv></ePostResult>')
+    .post('/entrez/eutils/epost.fcgi', 'db=sra&id=35533')
+    .reply(200, '<ePostResult><QueryKey>1</QueryKey><WebEnv>SECOND_WEBENV</WebEnv></ePostResult>')
+
+  ncbi.post(opts, function (first) {
+    ncbi.post(opts, function (second) {
+      t.deepEqual([first[0].webenv, second[0].webenv], ['FIRST_WEBENV', 'SECOND_WEBENV'], 'should post again instead of reusing a session')
+      t.deepEqual(fs.readdirSync(cacheDir), [], 'should not write epost responses to the cache')
+      fs.rmdirSync(cacheDir)
+      t.end()
+    })
+  })
+})
+
+test('Search with a History server handle', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var path = '/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=taxonomy&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1'
+  var msg = 'should skip esearch and page esummary from the handle'
+
+  nock(base)
+    .get(path)
+    .reply(200, {result: {uids: ['443821'], '443821': {uid: '443821', scientificname: 'Guillardia theta'}}})
+
+  var handle = { db: 'taxonomy', webenv: 'FAKE_WEBENV', queryKey: '1', count: 1 }
+  ncbi.search({ db: 'taxonomy', term: handle }, function (results) {
+    t.deepEqual(results, [{ uid: '443821', scientificname: 'Guillardia theta' }], msg)
+    t.end()
+  })
+})
+
+test('Link in batches with scores', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should send several source UIDs in one request and emit one object per source UID'
+
+  nock(base)
+    .get('/entrez/eutils/elink.fcgi?&dbfrom=pubmed&db=pubmed&id=1&id=2&cmd=neighbor_score')
+    .reply(200, '<eLinkResult>' +
+      '<LinkSet><DbFrom>pubmed</DbFrom><IdList><Id>1</Id></IdList>' +
+      '<LinkSetDb><DbTo>pubmed</DbTo><LinkName>pubmed_pubmed</LinkName>' +
+      '<Link><Id>3</Id><Score>90</Score></Link></LinkSetDb></LinkSet>' +
+      '<LinkSet><DbFrom>pubmed</DbFrom><IdList><Id>2</Id></IdList>' +
+      '<LinkSetDb><DbTo>pubmed</DbTo><LinkName>pubmed_pubmed</LinkName>' +
+      '<Link><Id>4</Id><Score>80</Score></Link></LinkSetDb></LinkSet>' +
+      '</eLinkResult>')
+
+  var results = []
+  var stream = ncbi.link({ srcDB: 'pubmed', destDB: 'pubmed', cmd: 'neighbor_score', srcUID: ['1', '2'] })
+  stream.on('data', function (data) { results.push(data) })
+  stream.on('end', function () {
+    t.deepEqual(results, [
+      { srcDB: 'pubmed', destDB: 'pubmed', srcUID: '1', linkName: 'pubmed_pubmed', linkNames: ['pubmed_pubmed'], destUIDs: ['3'], links: [{ destUID: '3', score: 90 }] },
+      { srcDB: 'pubmed', destDB: 'pubmed', srcUID: '2', linkName: 'pubmed_pubmed', linkNames: ['pubmed_pubmed'], destUIDs: ['4'], links: [{ destUID: '4', score: 80 }] }
+    ], msg)
+    t.end()
+  })
+})
+
+test('Plink errors', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/elink.fcgi?&dbfrom=sra&db=bioproject&id=1')
+    .reply(400, 'Bad Request')
+
+  var errors = []
+  var stream = ncbi.plink({ property: 'sra', destDB: 'bioproject', batchSize: 1, maxRetries: 0 })
+  stream.on('error', function (err) { errors.push(err) })
+  stream.on('data', function (data) { t.fail('should not emit the objects of the failed batch') })
+  stream.on('end', function () {
+    t.equal(errors.length, 1, 'should emit the error of the failed link once')
+    t.ok(errors[0] instanceof ncbi.QueryError, 'should pass on the link error')
+    t.end()
+  })
+  stream.write({ sraid: '1' })
+  stream.end()
+})
+
+test('Link LinkOut URLs', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should emit the LinkOut resources of each source UID with cmd prlinks'
+
+  nock(base)
+    .get('/entrez/eutils/elink.fcgi?&dbfrom=pubmed&db=pubmed&id=19880848&cmd=prlinks')
+    .reply(200, '<eLinkResult><LinkSet><DbFrom>pubmed</DbFrom><IdUrlList><IdUrlSet>' +
+      '<Id>19880848</Id><ObjUrl><Url>https://example.org/article</Url>' +
+      '<Category>Full Text Sources</Category>' +
+      '<Provider><Name>Example Press</Name><NameAbbr>EP</NameAbbr><Id>3051</Id>' +
+      '<Url LNG="EN">https://example.org</Url></Provider></ObjUrl>' +
+      '</IdUrlSet></IdUrlList></LinkSet></eLinkResult>')
+
+  var results = []
+  var stream = ncbi.link({ srcDB: 'pubmed', destDB: 'pubmed', cmd: 'prlinks', srcUID: '19880848' })
+  stream.on('data', function (data) { results.push(data) })
+  stream.on('end', function () {
+    t.deepEqual(results, [{
+      srcDB: 'pubmed',
+      srcUID: '19880848',
+      linkOut: [{
+        url: 'https://example.org/article',
+        linkName: undefined,
+        subjectTypes: [],
+        categories: ['Full Text Sources'],
+        attributes: [],
+        provider: { id: '3051', name: 'Example Press', nameAbbr: 'EP', url: 'https://example.org' }
+      }]
+    }], msg)
+    t.end()
+  })
+})
+
+test('Link pairs', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should emit one record per link and keep source UIDs without links'
+
+  nock(base)
+    .get('/entrez/eutils/elink.fcgi?&dbfrom=sra&db=bioproject&id=35533&id=1')
+    .reply(200, '<eLinkResult>' +
+      '<LinkSet><DbFrom>sra</DbFrom><IdList><Id>35533</Id></IdList>' +
+      '<LinkSetDb><DbTo>bioproject</DbTo><LinkName>sra_bioproject</LinkName>' +
+      '<Link><Id>53577</Id></Link></LinkSetDb></LinkSet>' +
+      '<LinkSet><DbFrom>sra</DbFrom><IdList><Id>1</Id></IdList></LinkSet>' +
+      '</eLinkResult>')
+
+  ncbi.link({ srcDB: 'sra', destDB: 'bioproject', srcUID: ['35533', '1'], emit: 'pairs' }, function (results) {
+    t.deepEqual(results, [
+      { srcDB: 'sra', srcUID: '35533', destDB: 'bioproject', destUID: '53577', linkName: 'sra_bioproject' },
+      { srcDB: 'sra', srcUID: '1', destDB: 'bioproject', destUID: null, linkName: 'sra_bioproject' }
+    ], msg)
+    t.end()
+  })
+})
+
+test('Fetch streaming', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should emit one object per record element while parsing the response'
+
+  nock(base)
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=pubmed&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=2&rettype=&retmode=xml')
+    .reply(200, '<?xml version="1.0" ?>\n<PubmedArticleSet>' +
+      '<PubmedArticle><MedlineCitation Status="MEDLINE"><PMID Version="1">1</PMID></MedlineCitation></PubmedArticle>' +
+      '<PubmedArticle><MedlineCitation Status="MEDLINE"><PMID Version="1">2</PMID></MedlineCitation></PubmedArticle>' +
+      '</PubmedArticleSet>')
+
+  var handle = { db: 'pubmed', webenv: 'FAKE_WEBENV', queryKey: '1', count: 2 }
+  ncbi.fetch({ db: 'pubmed', term: handle, streaming: true }, function (results) {
+    t.deepEqual(results, [
+      { MedlineCitation: [{ $: { Status: 'MEDLINE' }, PMID: [{ $: { Version: '1' }, _: '1' }] }] },
+      { MedlineCitation: [{ $: { Status: 'MEDLINE' }, PMID: [{ $: { Version: '1' }, _: '2' }] }] }
+    ], msg)
+    t.end()
+  })
+})
+
+test('Fetch GenBank records', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should parse rettype gb into one object per entry'
+
+  nock(base)
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=nuccore&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=2&rettype=gb&retmode=text')
+    .reply(200, genbankSample)
+
+  var handle = { db: 'nuccore', webenv: 'FAKE_WEBENV', queryKey: '1', count: 2 }
+  ncbi.fetch({ db: 'nuccore', term: handle, rettype: 'gb' }, function (results) {
+    t.deepEqual(results.map(function (record) { return record.version }), ['NC_001422.1', 'NP_040704.1'], msg)
+    t.end()
+  })
+})
+
+test('Fetch with CLI options', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=nuccore&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1' +
+      '&rettype=fasta&retmode=fasta&seq_start=1&seq_stop=10&complexity=4&idtype=acc')
+    .reply(200, '>NC_000913.3:1-10 Escherichia coli\nAGCTTTTCAT\n')
+
+  var argv = {
+    _: ['fetch'],
+    $0: 'bionode-ncbi',
+    db: 'nuccore',
+    term: { db: 'nuccore', webenv: 'FAKE_WEBENV', queryKey: '1', count: 1 },
+    rettype: 'fasta',
+    seq_start: 1,
+    seq_stop: 10,
+    complexity: 4,
+    idtype: 'acc',
+    strand: undefined,
+    start: undefined,
+    stop: undefined,
+    cmd: undefined,
+    linkname: undefined,
+    types: undefined,
+    'out-dir': undefined,
+    version: false,
+    stdin: false,
+    pretty: false,
+    cache: true,
+    format: 'ndjson'
+  }
+  ncbi.fetch(argv, function (results) {
+    t.deepEqual(results.map(function (record) { return record.seq }), ['AGCTTTTCAT'], 'should only send efetch parameters')
+    t.end()
+  })
+})
+
+test('Fetch raw', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should emit the response body without parsing it'
+
+  nock(base)
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=nuccore&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=2&rettype=gb&retmode=text')
+    .reply(200, genbankSample)
+
+  var handle = { db: 'nuccore', webenv: 'FAKE_WEBENV', queryKey: '1', count: 2 }
+  ncbi.fetch({ db: 'nuccore', term: handle, rettype: 'gb', raw: true }, function (body) {
+    t.equal(body.toString(), genbankSample, msg)
+    t.end()
+  })
+})
+
+test('Fetch streaming backpressure', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var records = 5000
+  var body = '<PubmedArticleSet>'
+  for (var i = 0; i < records; i++) {
+    body += '<PubmedArticle><MedlineCitation><PMID>' + i + '</PMID></MedlineCitation></PubmedArticle>'
+  }
+  body += '</PubmedArticleSet>'
+
+  nock(base)
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=pubmed&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1&rettype=&retmode=xml')
+    .reply(200, function () {
+      // Sent in chunks, like a large response would be
+      var chunks = body.match(/[\s\S]{1,1000}/g)
+      return new Readable({ read: function () { this.push(chunks.length ? chunks.shift() : null) } })
+    })
+
+  // Counts the records parsed from the response
+  var parsed = 0
+  var createStream = xmlRecords.createStream
+  xmlRecords.createStream = function (recordElement) {
+    return createStream(recordElement).on('data', function () { parsed++ })
+  }
+
+  var handle = { db: 'pubmed', webenv: 'FAKE_WEBENV', queryKey: '1', count: 1 }
+  var stream = ncbi.fetch({ db: 'pubmed', term: handle, streaming: true })
+  setTimeout(function () {
+    xmlRecords.createStream = createStream
+    t.ok(parsed > 0 && parsed < records / 10, 'should stop parsing the response while nothing consumes the records')
+    var emitted = 0
+    stream.on('data', function () { emitted++ })
+    stream.on('end', function () {
+      t.equal(emitted, records, 'should emit every record once consumed')
+      t.end()
+    })
+  }, 1500)
+})
+
+test('Search with the query builder', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should send the term and the esearch parameters'
+
+  nock(base)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=pubmed' +
+      '&term=%22Solenopsis%20invicta%22%5BOrganism%5D%20AND%20(%22fire%20ant%22)' +
+      '&usehistory=y&datetype=pdat&mindate=2015&maxdate=2020&sort=pub_date')
+    .reply(200, {esearchresult: {count: '0', webenv: 'FAKE_WEBENV', querykey: '1'}})
+
+  var term = ncbi.query().organism('Solenopsis invicta').term('"fire ant"').dates({ type: 'pdat', from: '2015', to: '2016' })
+  ncbi.search({ db: 'pubmed', term: term, maxdate: '2020', sort: 'pub_date' }, function (results) {
+    t.deepEqual(results, [], msg)
+    t.ok(nock.isDone(), 'should request the URL with every parameter')
+    t.end()
+  })
+})
+
+test('Search date ranges', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=pubmed&term=solenopsis' +
+      '&usehistory=y&datetype=pdat&mindate=1800&maxdate=2020')
+    .reply(200, {esearchresult: {count: '0', webenv: 'FAKE_WEBENV', querykey: '1'}})
+
+  ncbi.search({ db: 'pubmed', term: 'solenopsis', datetype: 'pdat', maxdate: '2020' }, function (results) {
+    t.deepEqual(results, [], 'should search with the open end of the range filled in')
+    t.ok(nock.isDone(), 'should request the URL with both dates')
+
+    ncbi.search({ db: 'pubmed', term: 'solenopsis', mindate: '2015', maxdate: '2020' })
+      .on('error', function (err) {
+        t.ok(err instanceof ncbi.QueryError && /datetype/.test(err.message), 'should need a datetype')
+        t.end()
+      })
+      .resume()
+  })
+})
+
+test('Taxonomy', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=taxonomy&term=Solenopsis%5BSubtree%5D%20AND%20species%5BRank%5D&usehistory=y')
+    .reply(200, {esearchresult: {count: '2', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=taxonomy&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=2&retmode=xml')
+    .reply(200, taxonomySample)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=taxonomy&term=13686%5Buid%5D&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '2'}})
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=taxonomy&query_key=2&WebEnv=FAKE_WEBENV&retstart=0&retmax=1&retmode=xml')
+    .reply(200, taxonomySample.replace(/<Taxon>\s*<TaxId>176590[\s\S]*<\/Taxon>\n<\/TaxaSet>/, '</TaxaSet>'))
+
+  ncbi.taxonomy({ term: 'Solenopsis', descendants: 'species' }, function (nodes) {
+    t.deepEqual(nodes.map(function (node) { return node.scientificName }), ['Solenopsis invicta', 'Solenopsis richteri'],
+      'should list the descendants of a rank')
+    ncbi.taxonomy('13686', function (nodes) {
+      t.deepEqual(nodes.map(function (node) { return node.lineage.length }), [3], 'should resolve a taxid with its lineage')
+      t.end()
+    })
+  })
+})
+
+test('Gene', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=gene' +
+      '&term=BRCA1%5Bsym%5D%20AND%20%22Homo%20sapiens%22%5BOrganism%5D%20AND%20alive%5Bprop%5D&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=gene&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .reply(200, {result: {
+      uids: ['672'],
+      672: {
+        uid: '672',
+        name: 'BRCA1',
+        description: 'BRCA1 DNA repair associated',
+        otheraliases: 'BRCAI, BRCC1',
+        organism: { scientificname: 'Homo sapiens', taxid: 9606 },
+        chromosome: '17',
+        genomicinfo: [{ chrloc: '17', chraccver: 'NC_000017.11', chrstart: 43125482, chrstop: 43044294, exoncount: 24 }]
+      }
+    }})
+    .get('/entrez/eutils/elink.fcgi?&dbfrom=gene&db=nuccore&id=672&linkname=gene_nuccore_refseqrna')
+    .reply(200, '<eLinkResult><LinkSet><DbFrom>gene</DbFrom><IdList><Id>672</Id></IdList>' +
+      '<LinkSetDb><DbTo>nuccore</DbTo><LinkName>gene_nuccore_refseqrna</LinkName>' +
+      '<Link><Id>1</Id></Link><Link><Id>2</Id></Link></LinkSetDb></LinkSet></eLinkResult>')
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=nuccore&id=1,2')
+    .reply(200, {result: {uids: ['1', '2'], 1: {accessionversion: 'NM_007294.4'}, 2: {accessionversion: 'NM_007297.4'}}})
+    .get('/entrez/eutils/elink.fcgi?&dbfrom=gene&db=protein&id=672&linkname=gene_protein_refseq')
+    .reply(200, '<eLinkResult><LinkSet><DbFrom>gene</DbFrom><IdList><Id>672</Id></IdList>' +
+      '<LinkSetDb><DbTo>protein</DbTo><LinkName>gene_protein_refseq</LinkName>' +
+      '<Link><Id>3</Id></Link></LinkSetDb></LinkSet></eLinkResult>')
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=protein&id=3')
+    .reply(200, {result: {uids: ['3'], 3: {accessionversion: 'NP_009225.1'}}})
+
+  ncbi.gene('BRCA1', { organism: 'Homo sapiens' }, function (genes) {
+    t.equal(genes.length, 1, 'should find the gene of the organism')
+    t.deepEqual([genes[0].geneId, genes[0].symbol, genes[0].taxid, genes[0].aliases], [672, 'BRCA1', 9606, ['BRCAI', 'BRCC1']],
+      'should normalize the summary')
+    t.deepEqual(genes[0].locations[0], { accession: 'NC_000017.11', chromosome: '17', start: 43044295, stop: 43125483, strand: -1, exonCount: 24 },
+      'should have 1-based coordinates')
+    t.deepEqual([genes[0].rnas, genes[0].proteins], [['NM_007294.4', 'NM_007297.4'], ['NP_009225.1']],
+      'should resolve RefSeq accessions')
+    t.end()
+  })
+})
+
+test('Cite', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=pubmed&term=21282665%5Buid%5D&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=pubmed&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1&rettype=&retmode=xml')
+    .reply(200, articlesSample.pubmed)
+
+  var stream = ncbi.cite({ db: 'pubmed', style: 'ris' })
+  var citations = []
+  stream.on('data', function (citation) { citations.push(citation) })
+  stream.on('end', function () {
+    t.equal(citations.length, 1, 'should cite the pubmed UIDs of link results')
+    t.ok(/^TY {2}- JOUR\n/.test(citations[0]) && /DO {2}- 10.1073\/pnas.1009690108/.test(citations[0]), 'should write RIS')
+    t.end()
+  })
+  stream.write({ srcDB: 'sra', destDB: 'pubmed', srcUID: '35533', destUIDs: ['21282665'] })
+  stream.write({ srcDB: 'sra', destDB: 'pubmed', srcUID: '35532', destUIDs: [] })
+  stream.end()
+})
+
+test('Cite long link results', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var uids = []
+  for (var i = 1; i <= 250; i++) { uids.push(String(i)) }
+
+  nock(base)
+    .post('/entrez/eutils/epost.fcgi', 'db=pubmed&id=' + uids.join('%2C'))
+    .reply(200, '<?xml version="1.0" encoding="UTF-8" ?>\n' +
+      '<ePostResult><QueryKey>2</QueryKey><WebEnv>FAKE_WEBENV</WebEnv></ePostResult>')
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=pubmed&query_key=2&WebEnv=FAKE_WEBENV&retstart=0&retmax=250&rettype=&retmode=xml')
+    .reply(200, articlesSample.pubmed)
+
+  var stream = ncbi.cite({ db: 'pubmed', style: 'ris', throughput: 250 })
+  var citations = []
+  stream.on('data', function (citation) { citations.push(citation) })
+  stream.on('end', function () {
+    t.equal(citations.length, 1, 'should post long UID lists instead of searching them')
+    t.end()
+  })
+  stream.end({ srcDB: 'pubmed', destDB: 'pubmed', srcUID: '20210808', destUIDs: uids })
+})
+
+test('Info', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/einfo.fcgi?&retmode=json&version=2.0&db=sra')
+    .reply(200, {einforesult: {dbinfo: [{
+      dbname: 'sra',
+      menuname: 'SRA',
+      count: '31446787',
+      lastupdate: '2024/02/08 04:01',
+      fieldlist: [{ name: 'ORGN', fullname: 'Organism', isdate: 'N' }],
+      linklist: [{ name: 'sra_bioproject', dbto: 'bioproject' }]
+    }]}})
+    .get('/entrez/eutils/einfo.fcgi?&retmode=json&version=2.0')
+    .reply(200, {einforesult: {dblist: ['pubmed']}})
+
+  ncbi.info('sra', function (records) {
+    t.deepEqual([records[0].db, records[0].count, records[0].fields[0].fullName, records[0].links[0].dbTo],
+      ['sra', 31446787, 'Organism', 'bioproject'], 'should return the database information')
+
+    var saved = Object.assign({}, validDbs.dbs)
+    ncbi.info({ refreshDbs: true }, function (dbs) {
+      t.deepEqual(dbs[0], { db: 'pubmed', name: 'PubMed', current: true, known: true }, 'should list the current databases')
+      t.ok(dbs.some(function (db) { return db.db === 'sra' && !db.current }), 'should list the databases einfo does not have')
+      t.deepEqual(Object.keys(validDbs.dbs), ['gquery', 'pubmed'], 'should refresh the valid databases')
+      Object.assign(validDbs.dbs, saved)
+      t.end()
+    })
+  })
+})
+
+test('Spell', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/espell.fcgi?&db=pubmed&term=fire%20ants%20genmoe')
+    .reply(200, '<?xml version="1.0" encoding="UTF-8" ?><eSpellResult><Database>pubmed</Database>' +
+      '<Query>fire ants genmoe</Query><CorrectedQuery>fire ants genome</CorrectedQuery>' +
+      '<SpelledQuery><Original>fire ants </Original><Replaced>genome</Replaced></SpelledQuery><ERROR/></eSpellResult>')
+
+  ncbi.spell('pubmed', 'fire ants genmoe', function (results) {
+    t.deepEqual(results, [{ db: 'pubmed', term: 'fire ants genmoe', corrected: 'fire ants genome', replaced: ['genome'] }],
+      'should return the corrected term')
+    t.end()
+  })
+})
+
+test('Count', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/egquery.fcgi?&retmode=xml&term=solenopsis%20invicta')
+    .reply(200, '<?xml version="1.0"?><Result><Term>solenopsis invicta</Term><eGQueryResult>' +
+      '<ResultItem><DbName>pubmed</DbName><MenuName>PubMed</MenuName><Count>641</Count><Status>Ok</Status></ResultItem>' +
+      '<ResultItem><DbName>omim</DbName><MenuName>OMIM</MenuName><Count>Error</Count><Status>Term or Database is not found</Status></ResultItem>' +
+      '</eGQueryResult></Result>')
+
+  ncbi.count('solenopsis invicta', function (counts) {
+    t.deepEqual(counts, [
+      { term: 'solenopsis invicta', db: 'pubmed', menuName: 'PubMed', count: 641, status: 'Ok' },
+      { term: 'solenopsis invicta', db: 'omim', menuName: 'OMIM', count: null, status: 'Term or Database is not found' }
+    ], 'should return the count of every database')
+    t.end()
+  })
+})
+
+test('Sequence', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var efetch = '/entrez/eutils/efetch.fcgi?&version=2.0&db=nuccore&id=NC_000913.3&rettype=fasta&retmode=text'
+  var header = ' Escherichia coli str. K-12 substr. MG1655, complete genome\n'
+
+  nock(base)
+    .get(efetch + '&seq_start=1&seq_stop=10&strand=2')
+    .reply(200, '>NC_000913.3:c10-1' + header + 'CTGGAAATAA\n')
+    .get(efetch + '&seq_start=1&seq_stop=10&strand=1')
+    .reply(200, '>NC_000913.3:1-10' + header + 'AGCTTTTCAT\n')
+
+  t.throws(function () {
+    ncbi.sequence({ id: 'NC_000913.3', ranges: [{ start: 10, stop: 1 }] })
+  }, /start <= stop/, 'should throw for invalid coordinates')
+
+  ncbi.sequence({ db: 'nuccore', id: 'NC_000913.3', ranges: [{ start: 1, stop: 10, strand: -1 }] }, function (results) {
+    t.deepEqual(results, [{
+      id: 'NC_000913.3:1-10(-) Escherichia coli str. K-12 substr. MG1655, complete genome',
+      seq: 'CTGGAAATAA'
+    }], 'should fetch a region of an accession without searching')
+
+    var ids = []
+    var stream = ncbi.sequence('nuccore')
+    stream.on('data', function (record) { ids.push(record.id.split(' ')[0]) })
+    stream.on('end', function () {
+      t.deepEqual(ids, ['NC_000913.3:1-10(+)'], 'should read BED lines with 0-based starts')
+      t.end()
+    })
+    stream.write('# regions')
+    stream.write('NC_000913.3\t0\t10\tthrL\t0\t+')
+    stream.end()
+  })
+})
+
+test('Download checksum mismatch', function (t) {
+  var eutils = 'http://eutils.ncbi.nlm.nih.gov'
+  var ftp = 'http://ftp.ncbi.nlm.nih.gov'
+  var folder = '/genomes/all/GCF/000/000/001/GCF_000000001.1_Test'
+  var msg = 'should download a corrupt file again and then emit a ChecksumError'
+
+  nock(eutils)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=Test&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=assembly&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .reply(200, {result: {
+      uids: ['checksum-test'],
+      'checksum-test': {
+        uid: 'checksum-test',
+        meta: ' <FtpSites> <FtpPath type="RefSeq">ftp://ftp.ncbi.nlm.nih.gov' + folder + '/</FtpPath> </FtpSites> '
+      }
+    }})
+  nock(ftp)
+    .get(folder)
+    .reply(200, '<a href="GCF_000000001.1_Test_genomic.fna.gz">genomic</a>' +
+      '<a href="md5checksums.txt">md5checksums.txt</a>')
+    .get(folder + '/md5checksums.txt')
+    .reply(200, 'e2fc714c4727ee9395f324cd2e7f331f  ./GCF_000000001.1_Test_genomic.fna.gz\n')
+    .get(folder + '/GCF_000000001.1_Test_genomic.fna.gz')
+    .times(2)
+    .reply(200, 'ACGT')
+
+  var statuses = []
+  var stream = ncbi.download('assembly', 'Test')
+  stream.on('data', function (data) {
+    if (data.status !== 'downloading') { statuses.push(data.status) }
+  })
+  stream.on('error', function (err) {
+    t.ok(err instanceof ncbi.ChecksumError, msg)
+    t.deepEqual(statuses, ['checksum_mismatch', 'checksum_mismatch'], 'should report every mismatch')
+    t.equal(err.expected, 'e2fc714c4727ee9395f324cd2e7f331f', 'should carry the expected md5')
+    t.equal(err.actual, 'f1f8f4bf413b16ad135722aa4591043e', 'should carry the md5 of the file')
+    t.notOk(fs.existsSync('checksum-test/GCF_000000001.1_Test_genomic.fna.gz'), 'should not keep the corrupt file under its final name')
+    fs.unlinkSync(err.path)
+    fs.rmdirSync('checksum-test')
+    t.end()
+  })
+})
+
+test('Download several file types', function (t) {
+  var eutils = 'http://eutils.ncbi.nlm.nih.gov'
+  var ftp = 'http://ftp.ncbi.nlm.nih.gov'
+  var folder = '/genomes/all/GCF/000/000/002/GCF_000000002.1_Test'
+  var msg = 'should download every type from one listing and end with a manifest'
+
+  nock(eutils)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=Types&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=assembly&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .reply(200, {result: {
+      uids: ['types-test'],
+      'types-test': {
+        uid: 'types-test',
+        meta: ' <FtpSites> <FtpPath type="RefSeq">ftp://ftp.ncbi.nlm.nih.gov' + folder + '/</FtpPath> </FtpSites> '
+      }
+    }})
+  nock(ftp)
+    .get(folder)
+    .reply(200, '<a href="GCF_000000002.1_Test_genomic.fna.gz">genomic</a>' +
+      '<a href="GCF_000000002.1_Test_genomic.gff.gz">annotation</a>' +
+      '<a href="md5checksums.txt">md5checksums.txt</a>')
+    .get(folder + '/md5checksums.txt')
+    .times(2)
+    .reply(200, 'f1f8f4bf413b16ad135722aa4591043e  ./GCF_000000002.1_Test_genomic.fna.gz\n')
+    .get(folder + '/GCF_000000002.1_Test_genomic.fna.gz')
+    .reply(200, 'ACGT')
+    .get(folder + '/GCF_000000002.1_Test_genomic.gff.gz')
+    .reply(200, '##gff-version 3')
+
+  ncbi.download({ db: 'assembly', term: 'Types', types: ['fna', 'gff', 'faa', 'md5'] }, function (results) {
+    var manifest = results[results.length - 1]
+    t.deepEqual(manifest, {
+      uid: 'types-test',
+      status: 'finished',
+      files: [
+        { type: 'fna', url: ftp + folder + '/GCF_000000002.1_Test_genomic.fna.gz', path: process.cwd() + '/types-test/GCF_000000002.1_Test_genomic.fna.gz', status: 'verified' },
+        { type: 'gff', url: ftp + folder + '/GCF_000000002.1_Test_genomic.gff.gz', path: process.cwd() + '/types-test/GCF_000000002.1_Test_genomic.gff.gz', status: 'completed' },
+        { type: 'md5', url: ftp + folder + '/md5checksums.txt', path: process.cwd() + '/types-test/md5checksums.txt', status: 'completed' }
+      ],
+      missing: ['faa']
+    }, msg)
+    t.ok(results.some(function (data) { return data.type === 'faa' && data.status === 'unavailable' }), 'should report missing types')
+    fs.readdirSync('types-test').forEach(function (file) { fs.unlinkSync('types-test/' + file) })
+    fs.rmdirSync('types-test')
+    t.end()
+  })
+})
+
+test('Download concurrently', function (t) {
+  var eutils = 'http://eutils.ncbi.nlm.nih.gov'
+  var ftp = 'http://ftp.ncbi.nlm.nih.gov'
+  var folders = {
+    'slow-test': '/genomes/all/GCF/000/000/003/GCF_000000003.1_Slow',
+    'fast-test': '/genomes/all/GCF/000/000/004/GCF_000000004.1_Fast'
+  }
+  var msg = 'should emit manifests in search order even when a later UID finishes first'
+
+  function summary (uid) {
+    return {
+      uid: uid,
+      meta: ' <FtpSites> <FtpPath type="RefSeq">ftp://ftp.ncbi.nlm.nih.gov' + folders[uid] + '/</FtpPath> </FtpSites> '
+    }
+  }
+
+  nock(eutils)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=Concurrent&usehistory=y')
+    .reply(200, {esearchresult: {count: '2', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=assembly&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=2')
+    .reply(200, {result: {
+      uids: ['slow-test', 'fast-test'],
+      'slow-test': summary('slow-test'),
+      'fast-test': summary('fast-test')
+    }})
+  var scope = nock(ftp)
+  Object.keys(folders).forEach(function (uid) {
+    var name = folders[uid].replace(/.*\//, '')
+    scope
+      .get(folders[uid])
+      .reply(200, '<a href="' + name + '_genomic.fna.gz">genomic</a>')
+      .get(folders[uid] + '/' + name + '_genomic.fna.gz')
+      .delay(uid === 'slow-test' ? 500 : 0)
+      .reply(200, 'ACGT')
+  })
+
+  var progress = []
+  var stream = ncbi.download({ db: 'assembly', term: 'Concurrent', types: ['fna'], concurrency: 2 })
+  var finished = []
+  stream.on('progress', function (data) { progress.push(data) })
+  stream.on('data', function (data) {
+    if (data.status === 'finished') { finished.push(data.uid) }
+  })
+  stream.on('end', function () {
+    t.deepEqual(finished, ['slow-test', 'fast-test'], msg)
+    t.deepEqual(progress[progress.length - 1].files, { done: 2, total: 2 }, 'should emit aggregate progress')
+    Object.keys(folders).forEach(function (uid) {
+      fs.readdirSync(uid).forEach(function (file) { fs.unlinkSync(uid + '/' + file) })
+      fs.rmdirSync(uid)
+    })
+    t.end()
+  })
+})
+
+test('Download dry run', function (t) {
+  var eutils = 'http://eutils.ncbi.nlm.nih.gov'
+  var ftp = 'http://ftp.ncbi.nlm.nih.gov'
+  var folder = '/genomes/all/GCF/000/000/006/GCF_000000006.1_Dry'
+
+  nock(eutils)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=Dry&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=assembly&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .reply(200, {result: {
+      uids: ['dry-test'],
+      'dry-test': { uid: 'dry-test', meta: ' <FtpSites> <FtpPath type="RefSeq">ftp://ftp.ncbi.nlm.nih.gov' + folder + '/</FtpPath> </FtpSites> ' }
+    }})
+  nock(ftp)
+    .get(folder)
+    .reply(200, '<a href="GCF_000000006.1_Dry_genomic.fna.gz">genomic</a>')
+    .head(folder + '/GCF_000000006.1_Dry_genomic.fna.gz')
+    .reply(200, '', { 'Content-Length': '1234' })
+
+  ncbi.download({ db: 'assembly', term: 'Dry', types: ['fna', 'gff'], dryRun: true }, function (results) {
+    var files = results.filter(function (obj) { return obj.type })
+    t.deepEqual(files.map(function (file) { return [file.type, file.status, file.size] }),
+      [['fna', 'planned', 1234], ['gff', 'unavailable', undefined]], 'should plan the files with their sizes')
+    t.deepEqual(results[results.length - 1], { status: 'planned', files: 1, bytes: 1234, unknownSizes: 0 },
+      'should end with the totals')
+    t.notOk(fs.existsSync('dry-test'), 'should not download anything')
+    t.end()
+  })
+})
+
+test('URLs dry run', function (t) {
+  var eutils = 'http://eutils.ncbi.nlm.nih.gov'
+  var ftp = 'http://ftp.ncbi.nlm.nih.gov'
+  var folder = '/genomes/all/GCF/000/000/007/GCF_000000007.1_Sizes'
+
+  nock(eutils)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=Sizes&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=assembly&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .reply(200, {result: {
+      uids: ['7'],
+      7: { uid: '7', meta: ' <FtpSites> <FtpPath type="RefSeq">ftp://ftp.ncbi.nlm.nih.gov' + folder + '/</FtpPath> </FtpSites> ' }
+    }})
+  nock(ftp)
+    .get(folder)
+    .reply(200, '<a href="GCF_000000007.1_Sizes_genomic.fna.gz">genomic</a><a href="GCF_000000007.1_Sizes_genomic.gff.gz">gff</a>')
+    .head(folder + '/GCF_000000007.1_Sizes_genomic.fna.gz')
+    .reply(200, '', { 'Content-Length': '4321' })
+    .head(folder + '/GCF_000000007.1_Sizes_genomic.gff.gz')
+    .reply(404)
+
+  ncbi.urls({ db: 'assembly', dryRun: true }, 'Sizes', function (results) {
+    t.deepEqual(results[0].sizes, { genomic: { fna: 4321, gff: null } }, 'should add the sizes of the files')
+    t.end()
+  })
+})
+
+test('Download count', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+
+  nock(base)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=sra&term=human&usehistory=y')
+    .reply(200, {esearchresult: {count: '4982360', webenv: 'FAKE_WEBENV', querykey: '1', querytranslation: 'human[All Fields]'}})
+
+  ncbi.download({ db: 'sra', term: 'human', count: true, limit: 10 }, function (results) {
+    t.deepEqual(results, [{ db: 'sra', term: 'human', total: 4982360, count: 10, queryTranslation: 'human[All Fields]' }],
+      'should count the records the limit lets through')
+    t.end()
+  })
+})
+
+test('Download offline', function (t) {
+  var cacheDir = fs.mkdtempSync(os.tmpdir() + '/bionode-ncbi-')
+
+  ncbi.download({ db: 'assembly', term: 'Offline', offline: true, cacheDir: cacheDir })
+  .on('data', function () {})
+  .on('error', function (err) {
+    t.ok(err instanceof ncbi.CacheMissError, 'should search with the cache options instead of going to NCBI')
+    fs.rmdirSync(cacheDir)
+    t.end()
+  })
+})
+
+test('Download with a naming template', function (t) {
+  var eutils = 'http://eutils.ncbi.nlm.nih.gov'
+  var ftp = 'http://ftp.ncbi.nlm.nih.gov'
+  var folder = '/genomes/all/GCF/000/000/005/GCF_000000005.1_Test'
+  var outDir = fs.mkdtempSync(os.tmpdir() + '/bionode-ncbi-')
+  var msg = 'should save the file under outDir following the template and emit its absolute path'
+
+  nock(eutils)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=assembly&term=Template&usehistory=y')
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=assembly&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .reply(200, {result: {
+      uids: ['5'],
+      '5': {
+        uid: '5',
+        assemblyaccession: 'GCF_000000005.1',
+        organism: 'Guillardia theta (cryptophyte)',
+        meta: ' <FtpSites> <FtpPath type="RefSeq">ftp://ftp.ncbi.nlm.nih.gov' + folder + '/</FtpPath> </FtpSites> '
+      }
+    }})
+  nock(ftp)
+    .get(folder)
+    .reply(200, '<a href="GCF_000000005.1_Test_genomic.fna.gz">genomic</a>')
+    .get(folder + '/GCF_000000005.1_Test_genomic.fna.gz')
+    .reply(200, 'ACGT')
+
+  var opts = {
+    db: 'assembly',
+    term: 'Template',
+    outDir: outDir,
+    template: '{organism}/{assemblyAccession}/{file}'
+  }
+  ncbi.download(opts, function (results) {
+    var dir = outDir + '/Guillardia_theta/GCF_000000005.1'
+    var file = dir + '/GCF_000000005.1_Test_genomic.fna.gz'
+    t.equal(results[results.length - 1].path, file, msg)
+    t.deepEqual(fs.readdirSync(dir), ['GCF_000000005.1_Test_genomic.fna.gz'], 'should rename the temporary file')
+    fs.unlinkSync(file)
+    fs.rmdirSync(dir)
+    fs.rmdirSync(outDir + '/Guillardia_theta')
+    fs.rmdirSync(outDir)
+    t.end()
+  })
+})
+
+test('SRA sources', function (t) {
+  var eutils = 'http://eutils.ncbi.nlm.nih.gov'
+  var lite = 'https://sra-downloadb.be-md.ncbi.nlm.nih.gov/sos5/sra-pub-zq-11/SRR620/SRR620577/SRR620577.lite.1'
+
+  t.throws(function () {
+    ncbi.urls({ db: 'sra', sraSource: 'ebi' })
+  }, /SRA source "ebi" is not supported/, 'should reject unknown SRA sources')
+
+  var summary = {result: {
+    uids: ['280116'],
+    '280116': {
+      uid: '280116',
+      expxml: '<Summary><Title>Single Solenopsis invicta male</Title></Summary>',
+      runs: '<Run acc="SRR620577" total_spots="23699662" total_bases="4787331724"/>' +
+        '<Run acc="SRR620578" total_spots="1000" total_bases="202000"/>'
+    }
+  }}
+  nock(eutils)
+    .get('/entrez/eutils/esearch.fcgi?&retmode=json&version=2.0&db=sra&term=Sources&usehistory=y')
+    .times(2)
+    .reply(200, {esearchresult: {count: '1', webenv: 'FAKE_WEBENV', querykey: '1'}})
+    .get('/entrez/eutils/esummary.fcgi?&retmode=json&version=2.0&db=sra&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1')
+    .times(2)
+    .reply(200, summary)
+    .get('/entrez/eutils/efetch.fcgi?db=sra&id=280116&rettype=runinfo&retmode=text')
+    .reply(200, 'Run,ReleaseDate,spots,download_path,Experiment\n' +
+      'SRR620577,2013-02-07 10:00:00,23699662,' + lite + ',SRX206041\n' +
+      'SRR620578,2013-02-07 10:00:00,"1,000",,SRX206041\n')
+  nock('https://www.ebi.ac.uk')
+    .get('/ena/portal/api/filereport?accession=SRR620577&result=read_run&fields=run_accession,fastq_ftp,fastq_md5,fastq_bytes&format=json')
+    .reply(200, [{
+      run_accession: 'SRR620577',
+      fastq_ftp: 'ftp.sra.ebi.ac.uk/vol1/fastq/SRR620/SRR620577/SRR620577_1.fastq.gz;ftp.sra.ebi.ac.uk/vol1/fastq/SRR620/SRR620577/SRR620577_2.fastq.gz',
+      fastq_md5: '0b6f5dca3fbb1b8aa2ff1b7a4d31a5c9;7a1e6f4b0c1d2e3f4a5b6c7d8e9f0a1b',
+      fastq_bytes: '1048576;1048577'
+    }])
+    .get('/ena/portal/api/filereport?accession=SRR620578&result=read_run&fields=run_accession,fastq_ftp,fastq_md5,fastq_bytes&format=json')
+    .reply(200, [{ run_accession: 'SRR620578', fastq_ftp: '', fastq_md5: '', fastq_bytes: '' }])
+
+  ncbi.urls('sra', 'Sources', function (urls) {
+    t.deepEqual(urls, [
+      { url: lite, uid: '280116', run: 'SRR620577' },
+      { url: 'https://sra-pub-run-odp.s3.amazonaws.com/sra/SRR620578/SRR620578', uid: '280116', run: 'SRR620578' }
+    ], 'should use the RunInfo download path and fall back to the ODP bucket')
+
+    ncbi.urls({ db: 'sra', sraSource: 'ena' }, 'Sources', function (urls) {
+      t.deepEqual(urls, [
+        { url: 'https://ftp.sra.ebi.ac.uk/vol1/fastq/SRR620/SRR620577/SRR620577_1.fastq.gz', uid: '280116', run: 'SRR620577', md5: '0b6f5dca3fbb1b8aa2ff1b7a4d31a5c9', size: 1048576 },
+        { url: 'https://ftp.sra.ebi.ac.uk/vol1/fastq/SRR620/SRR620577/SRR620577_2.fastq.gz', uid: '280116', run: 'SRR620577', md5: '7a1e6f4b0c1d2e3f4a5b6c7d8e9f0a1b', size: 1048577 }
+      ], 'should list the ENA FASTQ files with their md5 and size')
+      t.end()
+    })
+  })
+})
+
+test('RunInfo', function (t) {
+  var base = 'http://eutils.ncbi.nlm.nih.gov'
+  var msg = 'should emit one flat record per run from the RunInfo table'
+
+  nock(base)
+    .get('/entrez/eutils/efetch.fcgi?&version=2.0&db=sra&query_key=1&WebEnv=FAKE_WEBENV&retstart=0&retmax=1&rettype=runinfo&retmode=text')
+    .reply(200, 'Run,ReleaseDate,spots,bases,Experiment,LibraryLayout,Platform,BioProject,BioSample,TaxID,ScientificName\n' +
+      'SRR620577,2013-02-07 10:00:00,23699662,4787331724,SRX206041,PAIRED,ILLUMINA,PRJNA182127,SAMN01816919,13686,Solenopsis invicta\n')
+
+  var handle = { db: 'sra', webenv: 'FAKE_WEBENV', queryKey: '1', count: 1 }
+  ncbi.runinfo(handle, function (runs) {
+    t.deepEqual(runs, [{
+      Run: 'SRR620577',
+      Experiment: 'SRX206041',
+      BioSample: 'SAMN01816919',
+      BioProject: 'PRJNA182127',
+      Platform: 'ILLUMINA',
+      LibraryLayout: 'PAIRED',
+      spots: 23699662,
+      bases: 4787331724,
+      taxid: 13686,
+      ScientificName: 'Solenopsis invicta'
+    }], msg)
+    t.end()
+  })
+})
@@ -0,0 +1,73 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var tape = require('tape')
+var cache = require('../lib/cache')
+
+var url = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?&retmode=json&db=sra&term=solenopsis&api_key=secret'
+
+tape('cache normalize', t => {
+  var reordered = 'http://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?&term=solenopsis&db=sra&retmode=json&email=me%40example.com'
+  t.equals(cache.normalize(url), 'esearch.fcgi?db=sra&retmode=json&term=solenopsis', 'sorts params and drops host and credentials')
+  t.equals(cache.normalize(url), cache.normalize(reordered), 'gives the same key regardless of params order')
+  t.end()
+})
+
+tape('cache store', t => {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bionode-ncbi-'))
+  t.equals(cache.create({}), null, 'is off without a cache directory')
+  t.equals(cache.create({ cacheDir: dir, cache: false }), null, 'can be turned off explicitly')
+
+  var store = cache.create({ cacheDir: dir })
+  var body = '>seq1\nACGT\n'
+  store.get(url, function (err, cached) {
+    t.error(err)
+    t.equals(cached, undefined, 'misses before anything is stored')
+    store.set(url, body, function (err) {
+      t.error(err)
+      store.get(url, function (err, cached) {
+        t.error(err)
+        t.equals(cached, body, 'returns stored text bodies')
+        var expired = cache.create({ cacheDir: dir, cacheTTL: -1 })
+        expired.get(url, function (err, cached) {
+          t.error(err)
+          t.equals(cached, body, 'a negative TTL never expires')
+          var stale = cache.create({ cacheDir: dir, cacheTTL: 0 })
+          setTimeout(function () {
+            stale.get(url, function (err, cached) {
+              t.error(err)
+              t.equals(cached, undefined, 'expires entries older than the TTL')
+              t.end()
+            })
+          }, 10)
+        })
+      })
+    })
+  })
+})
+
+tape('cache History server sessions', t => {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bionode-ncbi-'))
+  var store = cache.create({ cacheDir: dir, cacheTTL: -1 })
+  var esearch = { esearchresult: { count: '1', webenv: 'OLD_WEBENV', querykey: '1' } }
+  var esummary = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?&retmode=json&db=sra&query_key=1&WebEnv=OLD_WEBENV'
+  var now = Date.now
+  // Stored an hour ago
+  Date.now = function () { return now() - 60 * 60 * 1000 }
+  store.set(url, esearch, function (err) {
+    t.error(err)
+    store.set(esummary, { result: { uids: [] } }, function (err) {
+      Date.now = now
+      t.error(err)
+      store.get(url, function (err, cached) {
+        t.error(err)
+        t.equals(cached, undefined, 'expires a WebEnv before NCBI drops the session, whatever the TTL')
+        store.get(esummary, function (err, cached) {
+          t.error(err)
+          t.deepEqual(cached, { result: { uids: [] } }, 'keeps responses without a WebEnv for the TTL')
+          t.end()
+        })
+      })
+    })
+  })
+})
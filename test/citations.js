@@ -0,0 +1,60 @@
+var tape = require('tape')
+var citations = require('../lib/citations')
+
+var article = {
+  pmid: '21282665',
+  pmcid: 'PMC3078418',
+  doi: '10.1073/pnas.1009690108',
+  title: 'The genome of the fire ant Solenopsis invicta & 50% of its genes',
+  authors: [{ family: 'Wurm', given: 'Yannick' }, { literal: 'Fire Ant Genome Consortium' }],
+  journal: 'Proc Natl Acad Sci U S A',
+  volume: '108',
+  issue: '14',
+  pages: '5679-84',
+  year: 2011,
+  mesh: ['Animals', 'Ants']
+}
+
+tape('bibtex citations', t => {
+  t.equal(citations.format(article, 'bibtex'), [
+    '@article{pmid21282665,',
+    '  author = {Wurm, Yannick and {Fire Ant Genome Consortium}},',
+    '  title = {{The genome of the fire ant Solenopsis invicta \\& 50\\% of its genes}},',
+    '  journal = {Proc Natl Acad Sci U S A},',
+    '  year = {2011},',
+    '  volume = {108},',
+    '  number = {14},',
+    '  pages = {5679--5684},',
+    '  doi = {10.1073/pnas.1009690108},',
+    '  pmid = {21282665},',
+    '  pmcid = {PMC3078418}',
+    '}',
+    ''
+  ].join('\n'), 'escapes TeX and expands MEDLINE page ranges')
+  t.end()
+})
+
+tape('bibtex author names', t => {
+  var authors = [{ family: "O'Brien & Müller", given: 'José' }, { family: 'Łukasz_{1}', given: 'Ø.' }]
+  var bibtex = citations.format(Object.assign({}, article, { authors: authors }), 'bibtex')
+  t.equal(bibtex.split('\n')[1], "  author = {O'Brien \\& M{\\\"{u}}ller, Jos{\\'{e}} and {\\L}ukasz\\_\\{1\\}, {\\O}.},", 'escapes TeX and braces diacritics')
+  t.end()
+})
+
+tape('ris citations', t => {
+  var lines = citations.format(article, 'ris').split('\n')
+  t.deepEqual(lines.slice(0, 3), ['TY  - JOUR', 'AU  - Wurm, Yannick', 'AU  - Fire Ant Genome Consortium'], 'starts with the type and authors')
+  t.ok(lines.indexOf('SP  - 5679') !== -1 && lines.indexOf('EP  - 5684') !== -1, 'splits the pages')
+  t.deepEqual(lines.slice(-3), ['KW  - Ants', 'ER  - ', ''], 'ends the record')
+  t.end()
+})
+
+tape('csl citations', t => {
+  var item = citations.format(article, 'csl')
+  t.equal(item.type, 'article-journal', 'is a journal article')
+  t.deepEqual(item.author, article.authors, 'keeps the author names')
+  t.deepEqual(item.issued, { 'date-parts': [[2011]] }, 'has the year as date parts')
+  t.equal(item.page, '5679-5684', 'expands the pages')
+  t.throws(function () { citations.format(article, 'apa') }, /Unknown citation style/, 'rejects unknown styles')
+  t.end()
+})
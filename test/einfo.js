@@ -0,0 +1,32 @@
+var tape = require('tape')
+var einfo = require('../lib/einfo')
+
+tape('einfo database records', t => {
+  var body = {einforesult: {dbinfo: [{
+    dbname: 'sra',
+    menuname: 'SRA',
+    description: 'SRA Database',
+    dbbuild: 'Build240207-1740.1',
+    count: '31446787',
+    lastupdate: '2024/02/08 04:01',
+    fieldlist: [{ name: 'ALL', fullname: 'All Fields', description: 'All terms from all searchable fields', termcount: '177213387', isdate: 'N', isnumerical: 'N', singletoken: 'N', hierarchy: 'N', ishidden: 'N' }],
+    linklist: [{ name: 'sra_bioproject', menu: 'BioProject Links', description: 'Link to BioProject', dbto: 'bioproject' }]
+  }]}}
+  var record = einfo.database(body)
+  t.deepEqual([record.db, record.count, record.lastUpdate], ['sra', 31446787, '2024-02-08T04:01:00'], 'converts counts and dates')
+  t.deepEqual(record.fields[0], { name: 'ALL', fullName: 'All Fields', description: 'All terms from all searchable fields', termCount: 177213387, isDate: false, isNumerical: false, singleToken: false, hierarchy: false, isHidden: false }, 'normalizes fields')
+  t.deepEqual(record.links, [{ name: 'sra_bioproject', menu: 'BioProject Links', description: 'Link to BioProject', dbTo: 'bioproject' }], 'normalizes links')
+  t.equal(einfo.database({einforesult: {ERROR: 'Invalid db name specified: foo'}}), null, 'returns null without a database')
+  t.end()
+})
+
+tape('einfo database list', t => {
+  var names = einfo.databases({einforesult: {dblist: ['pubmed', 'newdb']}})
+  t.deepEqual(names, ['pubmed', 'newdb'], 'returns the database names')
+  t.deepEqual(einfo.compare(names, { gquery: 'All Databases', pubmed: 'PubMed', unigene: 'UniGene' }), [
+    { db: 'pubmed', name: 'PubMed', current: true, known: true },
+    { db: 'newdb', current: true, known: false },
+    { db: 'unigene', name: 'UniGene', current: false, known: true }
+  ], 'marks new and retired databases')
+  t.end()
+})
@@ -0,0 +1,19 @@
+var tape = require('tape')
+var concat = require('concat-stream')
+var fastaWriter = require('../lib/fasta-writer')
+
+var sequence = { id: 'HE992975.1 Guillardia theta cDNA clone', seq: 'GAAGGCGATTCCAATGGTGC' }
+
+tape('fasta writer', t => {
+  t.equal(fastaWriter.format(sequence, 8), '>HE992975.1 Guillardia theta cDNA clone\nGAAGGCGA\nTTCCAATG\nGTGC\n', 'wraps the sequence')
+  t.equal(fastaWriter.format(sequence, 0), '>HE992975.1 Guillardia theta cDNA clone\nGAAGGCGATTCCAATGGTGC\n', 'does not wrap with a line width of 0')
+
+  var stream = fastaWriter.createStream()
+  stream.on('error', function (err) {
+    t.ok(/id and seq/.test(err.message), 'rejects objects that are not sequences')
+    t.end()
+  })
+  stream.pipe(concat(function () {}))
+  stream.write(sequence)
+  stream.write({ uid: '244018' })
+})
@@ -0,0 +1,66 @@
+// Two shortened entries as returned by efetch with rettype gb and gp
+module.exports = [
+  'LOCUS       NC_001422               5386 bp ss-DNA     circular PHG 27-MAR-2023',
+  'DEFINITION  Escherichia phage phiX174, complete genome.',
+  'ACCESSION   NC_001422',
+  'VERSION     NC_001422.1',
+  'DBLINK      BioProject: PRJNA14015',
+  'KEYWORDS    RefSeq.',
+  'SOURCE      Escherichia phage phiX174',
+  '  ORGANISM  Escherichia phage phiX174',
+  '            Viruses; Monodnaviria; Sangervirae; Phixviricota; Malgrandaviricetes;',
+  '            Petitvirales; Microviridae; Bullavirinae; Sinsheimervirus.',
+  'REFERENCE   1  (bases 1 to 5386)',
+  '  AUTHORS   Sanger,F., Air,G.M., Barrell,B.G., Brown,N.L., Coulson,A.R.,',
+  '            Fiddes,C.A., Hutchison,C.A., Slocombe,P.M. and Smith,M.',
+  '  TITLE     Nucleotide sequence of bacteriophage phi X174 DNA',
+  '  JOURNAL   Nature 265 (5596), 687-695 (1977)',
+  '   PUBMED   870828',
+  'COMMENT     PROVISIONAL REFSEQ: This record has not yet been subject to final',
+  '            NCBI review.',
+  'FEATURES             Location/Qualifiers',
+  '     source          1..5386',
+  '                     /organism="Escherichia phage phiX174"',
+  '                     /mol_type="genomic DNA"',
+  '                     /db_xref="taxon:10847"',
+  '     CDS             join(3981..5386,',
+  '                     1..136)',
+  '                     /gene="A"',
+  '                     /note="replication initiation protein; see',
+  '                     /jones"',
+  '                     /codon_start=1',
+  '                     /db_xref="GeneID:2546403"',
+  '                     /db_xref="UniProtKB/Swiss-Prot:P03653"',
+  '                     /translation="MVRSYYPSECHADYFDFERIEALKPAIEACGISTLSQSPMLGFH',
+  '                     KQMDNRIKLLEEILSFRMQGVEFDNGDMYVDGHKAAS"',
+  '     misc_feature    complement(<10..>20)',
+  '                     /pseudo',
+  'ORIGIN      ',
+  '        1 gagttttatc gcttccatga cgcagaagtt aacactttcg gatatttctg atgagtcgaa',
+  '       61 aaattatctt',
+  '//',
+  'LOCUS       NP_040704                456 aa            linear   PHG 27-MAR-2023',
+  'DEFINITION  replication initiation protein [Escherichia phage phiX174].',
+  'ACCESSION   NP_040704',
+  'VERSION     NP_040704.1',
+  'DBSOURCE    REFSEQ: accession NC_001422.1',
+  'KEYWORDS    RefSeq.',
+  'SOURCE      Escherichia phage phiX174',
+  '  ORGANISM  Escherichia phage phiX174',
+  '            Viruses; Monodnaviria.',
+  'REFERENCE   1  (residues 1 to 456)',
+  '  CONSRTM   NCBI Genome Project',
+  '  TITLE     Direct Submission',
+  '  JOURNAL   Submitted (01-APR-2000) National Center for Biotechnology',
+  '            Information, NIH, Bethesda, MD 20894, USA',
+  'FEATURES             Location/Qualifiers',
+  '     Protein         1..456',
+  '                     /product="replication initiation protein"',
+  '     CDS             1..456',
+  '                     /gene="A"',
+  '                     /coded_by="join(NC_001422.1:3981..5386,NC_001422.1:1..136)"',
+  'ORIGIN      ',
+  '        1 mvrsyypsec hadyfdferi ealkpaieac',
+  '//',
+  ''
+].join('\n')
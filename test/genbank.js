@@ -0,0 +1,76 @@
+var tape = require('tape')
+var genbank = require('../lib/genbank')
+
+var sample = require('./genbank-sample')
+
+tape('genbank parse', t => {
+  var records = genbank.parse(sample)
+  t.equals(records.length, 2, 'splits entries on //')
+
+  var gb = records[0]
+  t.deepEqual(gb.locus, {
+    name: 'NC_001422',
+    length: 5386,
+    unit: 'bp',
+    moleculeType: 'ss-DNA',
+    topology: 'circular',
+    division: 'PHG',
+    date: '27-MAR-2023'
+  }, 'parses the locus line')
+  t.equals(gb.definition, 'Escherichia phage phiX174, complete genome.', 'parses the definition')
+  t.equals(gb.accession, 'NC_001422', 'parses the accession')
+  t.equals(gb.version, 'NC_001422.1', 'parses the version')
+  t.deepEqual(gb.dblink, { BioProject: ['PRJNA14015'] }, 'parses database links')
+  t.deepEqual(gb.keywords, ['RefSeq'], 'parses keywords')
+  t.equals(gb.organism, 'Escherichia phage phiX174', 'parses the organism')
+  t.deepEqual(gb.lineage, [
+    'Viruses', 'Monodnaviria', 'Sangervirae', 'Phixviricota', 'Malgrandaviricetes',
+    'Petitvirales', 'Microviridae', 'Bullavirinae', 'Sinsheimervirus'
+  ], 'parses the lineage')
+  t.deepEqual(gb.references, [{
+    number: 1,
+    range: 'bases 1 to 5386',
+    authors: 'Sanger,F., Air,G.M., Barrell,B.G., Brown,N.L., Coulson,A.R., Fiddes,C.A., Hutchison,C.A., Slocombe,P.M. and Smith,M.',
+    title: 'Nucleotide sequence of bacteriophage phi X174 DNA',
+    journal: 'Nature 265 (5596), 687-695 (1977)',
+    pubmed: '870828'
+  }], 'parses references')
+  t.equals(gb.comment, 'PROVISIONAL REFSEQ: This record has not yet been subject to final\nNCBI review.', 'keeps comment lines')
+  t.equals(gb.sequence, 'gagttttatcgcttccatgacgcagaagttaacactttcggatatttctgatgagtcgaaaaattatctt', 'parses the sequence')
+
+  var cds = gb.features[1]
+  t.equals(gb.features.length, 3, 'parses every feature')
+  t.equals(cds.type, 'CDS', 'parses the feature type')
+  t.equals(cds.location, 'join(3981..5386,1..136)', 'joins location lines')
+  t.deepEqual(cds.ranges, [
+    { start: 3981, end: 5386, strand: 1, partialStart: false, partialEnd: false },
+    { start: 1, end: 136, strand: 1, partialStart: false, partialEnd: false }
+  ], 'parses location ranges')
+  t.deepEqual(cds.qualifiers, {
+    gene: ['A'],
+    note: ['replication initiation protein; see /jones'],
+    codon_start: [1],
+    db_xref: ['GeneID:2546403', 'UniProtKB/Swiss-Prot:P03653'],
+    translation: ['MVRSYYPSECHADYFDFERIEALKPAIEACGISTLSQSPMLGFHKQMDNRIKLLEEILSFRMQGVEFDNGDMYVDGHKAAS']
+  }, 'parses qualifiers')
+  t.deepEqual(gb.features[2].ranges, [
+    { start: 10, end: 20, strand: -1, partialStart: true, partialEnd: true }
+  ], 'parses complement and partial ranges')
+  t.deepEqual(gb.features[2].qualifiers, { pseudo: [true] }, 'parses qualifiers without value')
+
+  var gp = records[1]
+  t.equals(gp.locus.unit, 'aa', 'parses GenPept entries')
+  t.equals(gp.locus.moleculeType, '', 'leaves the molecule type empty for proteins')
+  t.equals(gp.dbsource, 'REFSEQ: accession NC_001422.1', 'parses the source database')
+  t.equals(gp.references[0].consortium, 'NCBI Genome Project', 'parses consortiums')
+  t.equals(gp.sequence, 'mvrsyypsechadyfdferiealkpaieac', 'parses the protein sequence')
+  t.end()
+})
+
+tape('genbank parseLocation', t => {
+  t.deepEqual(genbank.parseLocation('join(complement(1..5),NC_001422.1:8^9)'), [
+    { start: 1, end: 5, strand: -1, partialStart: false, partialEnd: false },
+    { start: 8, end: 9, strand: 1, partialStart: false, partialEnd: false, accession: 'NC_001422.1', between: true }
+  ], 'parses remote and between ranges')
+  t.end()
+})
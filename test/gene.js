@@ -0,0 +1,29 @@
+var tape = require('tape')
+var gene = require('../lib/gene')
+
+tape('gene records', t => {
+  var doc = {
+    uid: '672',
+    name: 'BRCA1',
+    description: 'BRCA1 DNA repair associated',
+    aliases: ['BRCAI', 'BRCC1'],
+    organism: 'Homo sapiens',
+    taxid: 9606,
+    chromosome: '17',
+    maplocation: '17q21.31',
+    genomicinfo: [{ chrloc: '17', chraccver: 'NC_000017.11', chrstart: 43125482, chrstop: 43044294, exoncount: 24 }]
+  }
+  t.deepEqual(gene.fromSummary(doc), {
+    geneId: 672,
+    symbol: 'BRCA1',
+    aliases: ['BRCAI', 'BRCC1'],
+    description: 'BRCA1 DNA repair associated',
+    organism: 'Homo sapiens',
+    taxid: 9606,
+    chromosome: '17',
+    mapLocation: '17q21.31',
+    locations: [{ accession: 'NC_000017.11', chromosome: '17', start: 43044295, stop: 43125483, strand: -1, exonCount: 24 }]
+  }, 'converts genomicinfo to 1-based coordinates with a strand')
+  t.deepEqual(gene.fromSummary({ uid: '1', name: 'A', genomicinfo: [] }).locations, [], 'handles genes without locations')
+  t.end()
+})
@@ -0,0 +1,24 @@
+var tape = require('tape')
+var query = require('../lib/query')
+
+tape('query builder', t => {
+  var term = query.create()
+    .organism('Solenopsis invicta')
+    .and().field('PDAT', { from: '2015', to: '2020' })
+    .not().group(query.create().term('review').or().field('Title', 'fire ant "venom"'))
+  t.equal(term.toString(),
+    '"Solenopsis invicta"[Organism] AND (2015[PDAT] : 2020[PDAT]) NOT (review OR "fire ant venom"[Title])',
+    'joins quoted and tagged clauses with operators')
+
+  t.equal(query.create().term('ant OR bee').field('PDAT', { from: new Date(Date.UTC(2015, 0, 5)) }).toString(),
+    '(ant OR bee) AND (2015/01/05[PDAT] : 3000[PDAT])', 'groups free text and fills open date ranges')
+  t.equal(query.create().term('ant OR bee').toString(), 'ant OR bee', 'keeps a single term as it is')
+
+  var params = query.create().term('ant').dates({ type: 'pdat', from: 2015 }).sort('pub_date').searchField('title').params()
+  t.deepEqual(params, { datetype: 'pdat', mindate: '2015', maxdate: '3000', sort: 'pub_date', field: 'title' },
+    'keeps the esearch parameters')
+
+  t.throws(function () { query.create().or() }, /needs a term before it/, 'rejects operators without a term')
+  t.throws(function () { query.create().field('Organism]', 'ant') }, /Invalid Entrez field tag/, 'rejects invalid tags')
+  t.end()
+})
@@ -0,0 +1,16 @@
+var tape = require('tape')
+var runinfo = require('../lib/runinfo')
+
+tape('runinfo parse', t => {
+  var csv = 'Run,spots,LibraryName,ScientificName\n' +
+    'SRR620577,23699662,"Si male, lane 1",Solenopsis invicta\n' +
+    '\n' +
+    'Run,spots,LibraryName,ScientificName\n' +
+    'SRR620578,1000,"a ""quoted"" name",Solenopsis invicta\r\n'
+  t.deepEqual(runinfo.parse(csv), [
+    { Run: 'SRR620577', spots: '23699662', LibraryName: 'Si male, lane 1', ScientificName: 'Solenopsis invicta' },
+    { Run: 'SRR620578', spots: '1000', LibraryName: 'a "quoted" name', ScientificName: 'Solenopsis invicta' }
+  ], 'parses quoted fields and skips repeated headers')
+  t.deepEqual(runinfo.parse(''), [], 'returns no runs for an empty table')
+  t.end()
+})
@@ -0,0 +1,34 @@
+var tape = require('tape')
+var scheduler = require('../lib/scheduler')
+
+tape('scheduler authorize', t => {
+  var url = 'http://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?&db=sra'
+  t.equals(scheduler.authorize(url), url, 'leaves URLs untouched without credentials')
+  t.equals(
+    scheduler.authorize(url, { tool: 'bionode test', email: 'me@example.com' }),
+    url + '&tool=bionode%20test&email=me%40example.com',
+    'appends the tool and email of the request options'
+  )
+  t.equals(scheduler.authorize(url, {}), url, 'keeps no credentials for later requests')
+  t.end()
+})
+
+tape('scheduler rate limit', t => {
+  var times = []
+  var interval = scheduler.interval()
+  t.equals(interval, 1000 / 3, 'allows 3 requests per second without an API key')
+  t.equals(scheduler.interval({ apiKey: 'secret' }), 1000 / 10, 'allows 10 requests per second with one')
+
+  for (var i = 0; i < 3; i++) {
+    scheduler.schedule(function () {
+      times.push(Date.now())
+      if (times.length === 3) { check() }
+    })
+  }
+
+  function check () {
+    var gaps = [times[1] - times[0], times[2] - times[1]]
+    t.ok(gaps.every(gap => gap >= interval - 5), 'spaces queued requests by the rate limit interval')
+    t.end()
+  }
+})
@@ -0,0 +1,43 @@
+var tape = require('tape')
+var schemas = require('../lib/schemas')
+var helpers = require('../lib/schemas/helpers')
+
+var testData = require('./data')
+var guillardiaThetaSRAData = require('./guillardia-theta.sra')
+
+tape('schemas conversions', t => {
+  t.equals(helpers.toNumber('23.66'), 23.66, 'converts numeric strings')
+  t.equals(helpers.toNumber(''), null, 'converts empty strings to null')
+  t.equals(helpers.toNumber('N/A'), 'N/A', 'leaves other strings alone')
+  t.equals(helpers.toDate('2013/02/07'), '2013-02-07', 'converts dates')
+  t.equals(helpers.toDate('2012/12/06 00:00'), '2012-12-06T00:00:00', 'converts dates with time')
+  t.equals(helpers.toDate('1/01/01 00:00'), null, 'converts missing dates to null')
+  t.end()
+})
+
+tape('schemas sra', t => {
+  var record = schemas.normalize('sra', guillardiaThetaSRAData[0])
+  t.equals(record.accession, 'SRX029662', 'flattens the experiment accession')
+  t.equals(record.organism, 'Guillardia theta CCMP2712', 'flattens the organism')
+  t.equals(record.taxid, 905079, 'flattens the taxid as a number')
+  t.equals(record.libraryLayout, 'SINGLE', 'flattens the library layout')
+  t.equals(record.runs.Run[0].total_bases, 5631540, 'converts run counts')
+  t.equals(record.createdate, '2011-10-29', 'converts dates')
+  t.equals(guillardiaThetaSRAData[0].createdate, '2011/10/29', 'leaves the original document untouched')
+  t.end()
+})
+
+tape('schemas assembly', t => {
+  var record = schemas.normalize('assembly', testData.assembly['guillardia-theta'].search)
+  t.equals(record.accession, 'GCF_000315625.1', 'flattens the accession')
+  t.equals(record.organism, 'Guillardia theta CCMP2712', 'removes the common name from the organism')
+  t.equals(record.coverage, 23.66, 'converts numbers')
+  t.equals(record.stats.contig_n50, 40445, 'collects the stats for all sequences')
+  t.end()
+})
+
+tape('schemas without schema', t => {
+  var doc = { uid: '1', createdate: '2013/02/07' }
+  t.deepEquals(schemas.normalize('pubmed', doc), doc, 'returns documents of other databases as they are')
+  t.end()
+})
@@ -0,0 +1,50 @@
+var tape = require('tape')
+var concat = require('concat-stream')
+var tabular = require('../lib/tabular')
+
+var records = [
+  { Run: 'SRR620577', title: 'Si male, lane 1', spots: 23699662 },
+  { Run: 'SRR620578', title: 'tab\there', spots: null }
+]
+
+tape('tabular csv', t => {
+  var stream = tabular.createStream('csv')
+  stream.pipe(concat(function (text) {
+    t.equal(text, 'Run,title,spots\nSRR620577,"Si male, lane 1",23699662\nSRR620578,tab\there,\n', 'writes a header and quotes values with commas')
+    t.end()
+  }))
+  records.forEach(function (record) { stream.write(record) })
+  stream.end()
+})
+
+tape('tabular tsv', t => {
+  var stream = tabular.createStream('tsv', ['spots', 'Run'])
+  stream.pipe(concat(function (text) {
+    t.equal(text, 'spots\tRun\n23699662\tSRR620577\n\tSRR620578\n', 'writes the given columns')
+    t.end()
+  }))
+  records.forEach(function (record) { stream.write(record) })
+  stream.end()
+})
+
+tape('tabular fields', t => {
+  var assembly = {
+    uid: '244018',
+    organism: 'Solenopsis invicta (red fire ant)',
+    meta: JSON.stringify({ FtpSites: { FtpPath: [{ type: 'GenBank', _: 'ftp://a' }, { type: 'RefSeq', _: 'ftp://b' }] } }),
+    synonym: { genbank: 'GCA_000188075.1' }
+  }
+
+  t.equal(tabular.getValue(assembly, 'meta.FtpSites.FtpPath.type').join(), 'GenBank,RefSeq', 'goes inside JSON strings and arrays')
+  t.equal(tabular.getValue(assembly, 'synonym.missing.key'), undefined, 'returns undefined for missing paths')
+  t.deepEqual(tabular.select(assembly, ['uid', 'synonym.genbank']), { uid: '244018', 'synonym.genbank': 'GCA_000188075.1' }, 'selects fields by path')
+
+  var stream = tabular.createStream('csv', ['uid', 'organism', 'meta.FtpSites.FtpPath', 'synonym'])
+  stream.pipe(concat(function (text) {
+    t.equal(text, 'uid,organism,meta.FtpSites.FtpPath,synonym\n' +
+      '244018,Solenopsis invicta (red fire ant),ftp://a;ftp://b,"{""genbank"":""GCA_000188075.1""}"\n',
+      'flattens arrays and escapes JSON objects')
+    t.end()
+  }))
+  stream.end(assembly)
+})
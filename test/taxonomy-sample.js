@@ -0,0 +1,62 @@
+// efetch taxonomy XML for two species of Solenopsis, with the lineage cut short
+module.exports = `<?xml version="1.0" ?>
+<!DOCTYPE TaxaSet PUBLIC "-//NLM//DTD Taxon, 14th January 2002//EN" "https://www.ncbi.nlm.nih.gov/entrez/query/DTD/taxon.dtd">
+<TaxaSet><Taxon>
+    <TaxId>13686</TaxId>
+    <ScientificName>Solenopsis invicta</ScientificName>
+    <OtherNames>
+        <GenbankCommonName>red fire ant</GenbankCommonName>
+        <Synonym>Solenopsis wagneri</Synonym>
+    </OtherNames>
+    <ParentTaxId>13685</ParentTaxId>
+    <Rank>species</Rank>
+    <Division>Invertebrates</Division>
+    <GeneticCode>
+        <GCId>1</GCId>
+        <GCName>Standard</GCName>
+    </GeneticCode>
+    <Lineage>Formicidae; Myrmicinae; Solenopsis</Lineage>
+    <LineageEx>
+        <Taxon>
+            <TaxId>36668</TaxId>
+            <ScientificName>Formicidae</ScientificName>
+            <Rank>family</Rank>
+        </Taxon>
+        <Taxon>
+            <TaxId>34695</TaxId>
+            <ScientificName>Myrmicinae</ScientificName>
+            <Rank>subfamily</Rank>
+        </Taxon>
+        <Taxon>
+            <TaxId>13685</TaxId>
+            <ScientificName>Solenopsis</ScientificName>
+            <Rank>genus</Rank>
+        </Taxon>
+    </LineageEx>
+</Taxon>
+<Taxon>
+    <TaxId>176590</TaxId>
+    <ScientificName>Solenopsis richteri</ScientificName>
+    <ParentTaxId>13685</ParentTaxId>
+    <Rank>species</Rank>
+    <Division>Invertebrates</Division>
+    <LineageEx>
+        <Taxon>
+            <TaxId>36668</TaxId>
+            <ScientificName>Formicidae</ScientificName>
+            <Rank>family</Rank>
+        </Taxon>
+        <Taxon>
+            <TaxId>34695</TaxId>
+            <ScientificName>Myrmicinae</ScientificName>
+            <Rank>subfamily</Rank>
+        </Taxon>
+        <Taxon>
+            <TaxId>13685</TaxId>
+            <ScientificName>Solenopsis</ScientificName>
+            <Rank>genus</Rank>
+        </Taxon>
+    </LineageEx>
+</Taxon>
+</TaxaSet>
+`
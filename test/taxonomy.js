@@ -0,0 +1,34 @@
+var tape = require('tape')
+var taxonomy = require('../lib/taxonomy')
+var sample = require('./taxonomy-sample')
+
+tape('taxonomy nodes', t => {
+  var nodes = taxonomy.parse(sample)
+  t.deepEqual(nodes[0], {
+    taxid: 13686,
+    rank: 'species',
+    scientificName: 'Solenopsis invicta',
+    commonName: 'red fire ant',
+    parentTaxid: 13685,
+    division: 'Invertebrates',
+    lineage: [
+      { taxid: 36668, rank: 'family', name: 'Formicidae' },
+      { taxid: 34695, rank: 'subfamily', name: 'Myrmicinae' },
+      { taxid: 13685, rank: 'genus', name: 'Solenopsis' }
+    ]
+  }, 'normalizes the node and its lineage')
+  t.equal(nodes[1].commonName, undefined, 'leaves out missing names')
+  t.end()
+})
+
+tape('taxonomy trees', t => {
+  var tree = taxonomy.tree(taxonomy.parse(sample))
+  t.equal(taxonomy.newick(tree), "('Solenopsis invicta','Solenopsis richteri')Solenopsis", 'writes newick from the shared ancestor')
+  t.equal(taxonomy.indented(tree),
+    'Solenopsis (genus, 13685)\n  Solenopsis invicta (species, 13686)\n  Solenopsis richteri (species, 176590)',
+    'writes an indented tree')
+  var single = taxonomy.tree(taxonomy.parse(sample).slice(0, 1))
+  t.equal(taxonomy.newick(single), "((('Solenopsis invicta')Solenopsis)Myrmicinae)Formicidae",
+    'keeps the whole lineage of a single taxon')
+  t.end()
+})
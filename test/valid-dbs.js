@@ -15,6 +15,20 @@ test('valid-dbs printDbs', t => {
   t.end()
 })
 
+test('valid-dbs update', t => {
+  var saved = Object.assign({}, validDbs.dbs)
+  var changes = validDbs.update(Object.keys(saved).filter(db => db !== 'gquery' && db !== 'sra').concat('newdb'))
+
+  t.deepEqual(changes, {added: ['newdb'], removed: ['sra']}, 'returns the added and removed databases')
+  t.equals(validDbs.dbs.newdb, 'newdb', 'adds new databases')
+  t.equals(validDbs.dbs.sra, undefined, 'removes retired databases')
+  t.equals(validDbs.dbs.gquery, saved.gquery, 'keeps the global query')
+
+  Object.keys(validDbs.dbs).forEach(db => { delete validDbs.dbs[db] })
+  Object.assign(validDbs.dbs, saved)
+  t.end()
+})
+
 // TODO move this test to a suite just for bionode-ncbi search
 test('bionode-ncbi search', t => {
   t.plan(1)
@@ -25,3 +39,22 @@ test('bionode-ncbi search', t => {
     t.assert(err instanceof validDbs.InvalidDbError, 'call search with wrong db throws InvalidDbError')
   }
 })
+
+test('bionode-ncbi methods taking a db', t => {
+  var calls = {
+    fetch: () => ncbi.fetch('unigene', 'human'),
+    link: () => ncbi.link('unigene', 'pubmed', '1'),
+    'link destination': () => ncbi.link('sra', 'unigene', '1'),
+    plink: () => ncbi.plink('sra', 'unigene'),
+    urls: () => ncbi.urls('unigene', 'human'),
+    download: () => ncbi.download('unigene', 'human'),
+    cite: () => ncbi.cite('unigene', '1'),
+    info: () => ncbi.info('unigene'),
+    post: () => ncbi.post('unigene', '1'),
+    spell: () => ncbi.spell('unigene', 'human')
+  }
+  Object.keys(calls).forEach(name => {
+    t.throws(calls[name], validDbs.InvalidDbError, name + ' throws InvalidDbError before any request')
+  })
+  t.end()
+})
@@ -0,0 +1,42 @@
+var tape = require('tape')
+var xmlRecords = require('../lib/xml-records')
+
+var xml = '<?xml version="1.0" ?>\n<TaxaSet>' +
+  '<Taxon><TaxId>443821</TaxId><ScientificName>Guillardia theta</ScientificName>' +
+  '<LineageEx><Taxon><TaxId>2759</TaxId><Rank>superkingdom</Rank></Taxon></LineageEx></Taxon>' +
+  '<Taxon><TaxId>55529</TaxId><ScientificName>Guillardia</ScientificName></Taxon>' +
+  '</TaxaSet>'
+
+var expected = [
+  {
+    TaxId: ['443821'],
+    ScientificName: ['Guillardia theta'],
+    LineageEx: [{ Taxon: [{ TaxId: ['2759'], Rank: ['superkingdom'] }] }]
+  },
+  { TaxId: ['55529'], ScientificName: ['Guillardia'] }
+]
+
+tape('xml-records parse', t => {
+  t.deepEqual(xmlRecords.parse(xml, 'Taxon'), expected, 'emits top level record elements with nested ones as children')
+  t.deepEqual(
+    xmlRecords.parse('<Set><Item id="1">a<B>b</B></Item></Set>', 'Item'),
+    [{ $: { id: '1' }, _: 'a', B: ['b'] }],
+    'keeps attributes under $ and text under _'
+  )
+  t.end()
+})
+
+tape('xml-records stream', t => {
+  var buffer = Buffer.from(xml.replace('Guillardia theta', 'Guillardia thêta'))
+  var split = buffer.indexOf('ê') + 1
+  var results = []
+  var stream = xmlRecords.createStream('Taxon')
+  stream.on('data', function (record) { results.push(record) })
+  stream.on('end', function () {
+    t.equals(results.length, 2, 'emits every record')
+    t.equals(results[0].ScientificName[0], 'Guillardia thêta', 'decodes characters split across chunks')
+    t.end()
+  })
+  stream.write(buffer.slice(0, split))
+  stream.end(buffer.slice(split))
+})